@@ -0,0 +1,147 @@
+#!/usr/bin/env node
+/**
+ * Formats `.svelte` files in place with the plugin from `src/newPlugin.js`.
+ *
+ *   svelte-prettier [--check | --list-different] <file | directory | glob>...
+ *
+ * Options come from the `.prettierrc` (or any other Prettier config) that applies to
+ * each file. Exits with 1 if `--check` or `--list-different` found unformatted files,
+ * and with 2 if a file could not be formatted.
+ */
+const fs = require("fs");
+const glob = require("glob");
+const prettier = require("prettier");
+const plugin = require("../src/newPlugin.js");
+
+const usage =
+  "Usage: svelte-prettier [--check | --list-different] <file | directory | glob>...";
+
+function parseArgs(args) {
+  const flags = { check: false, listDifferent: false, help: false };
+  const patterns = [];
+  for (const arg of args) {
+    if (arg === "--check" || arg === "-c") {
+      flags.check = true;
+    } else if (arg === "--list-different" || arg === "-l") {
+      flags.listDifferent = true;
+    } else if (arg === "--help" || arg === "-h") {
+      flags.help = true;
+    } else if (arg.startsWith("-")) {
+      throw new Error(`Unknown option: ${arg}`);
+    } else {
+      patterns.push(arg);
+    }
+  }
+  return Object.assign(flags, { patterns });
+}
+
+/**
+ * Expands the patterns to the `.svelte` files they match. Directories stand for all
+ * the `.svelte` files below them.
+ */
+function expandPatterns(patterns) {
+  const files = [];
+  const missing = [];
+  for (const pattern of patterns) {
+    const isDirectory =
+      fs.existsSync(pattern) && fs.statSync(pattern).isDirectory();
+    const matches = glob
+      .sync(
+        isDirectory ? `${pattern.replace(/\/$/, "")}/**/*.svelte` : pattern,
+        { nodir: true, ignore: "**/node_modules/**" }
+      )
+      .filter((file) => file.endsWith(".svelte"));
+    if (matches.length === 0) {
+      missing.push(pattern);
+    }
+    matches
+      .filter((file) => !files.includes(file))
+      .forEach((file) => files.push(file));
+  }
+  return { files, missing };
+}
+
+function getOptions(file) {
+  const config = prettier.resolveConfig.sync(file) || {};
+  return Object.assign({}, config, {
+    filepath: file,
+    parser: "svelte",
+    plugins: [plugin],
+  });
+}
+
+function main(args) {
+  let flags;
+  try {
+    flags = parseArgs(args);
+  } catch (error) {
+    console.error(`[error] ${error.message}\n${usage}`);
+    return 2;
+  }
+  if (flags.help) {
+    console.log(usage);
+    return 0;
+  }
+  if (flags.patterns.length === 0) {
+    console.error(usage);
+    return 2;
+  }
+  let status = 0;
+  const { files, missing } = expandPatterns(flags.patterns);
+  missing.forEach((pattern) => {
+    console.error(`[error] No .svelte files matching: ${pattern}`);
+    status = 2;
+  });
+  if (flags.check) {
+    console.log("Checking formatting...");
+  }
+  let unformatted = 0;
+  let errored = 0;
+  for (const file of files) {
+    const input = fs.readFileSync(file, "utf8");
+    let output;
+    try {
+      output = plugin.format(input, getOptions(file));
+    } catch (error) {
+      console.error(`[error] ${file}: ${error.message}`);
+      if (error.codeFrame) {
+        console.error(error.codeFrame);
+      }
+      errored++;
+      status = 2;
+      continue;
+    }
+    if (output === input) {
+      continue;
+    }
+    if (flags.check || flags.listDifferent) {
+      unformatted++;
+      console.log(flags.listDifferent ? file : `[warn] ${file}`);
+      status = Math.max(status, 1);
+    } else {
+      fs.writeFileSync(file, output);
+      console.log(file);
+    }
+  }
+  if (flags.check) {
+    if (unformatted > 0) {
+      console.log(
+        `[warn] Code style issues found in ${unformatted} file${
+          unformatted === 1 ? "" : "s"
+        }. Forgot to run svelte-prettier?`
+      );
+    }
+    if (errored > 0) {
+      console.error(
+        `[error] Error occurred when checking code style in ${errored} file${
+          errored === 1 ? "" : "s"
+        }.`
+      );
+    } else if (unformatted === 0 && status === 0) {
+      console.log("All matched files use Prettier code style!");
+    }
+  }
+  return status;
+}
+
+process.exitCode = main(process.argv.slice(2));
@@ -7,7 +7,7 @@ import json from "@rollup/plugin-json";
 
 const production = !process.env.ROLLUP_WATCH;
 
-export default {
+const app = {
   input: "src/main.js",
   output: {
     sourcemap: true,
@@ -55,6 +55,30 @@ export default {
   },
 };
 
+// formatting runs in this worker, see src/formatClient.js
+const worker = {
+  input: "src/formatWorker.js",
+  output: {
+    sourcemap: true,
+    format: "iife",
+    name: "worker",
+    file: "public/build/worker.js",
+  },
+  plugins: [
+    resolve({
+      browser: true,
+    }),
+    commonjs(),
+    json(),
+    production && terser(),
+  ],
+  watch: {
+    clearScreen: false,
+  },
+};
+
+export default [app, worker];
+
 function serve() {
   let started = false;
 
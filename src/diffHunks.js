@@ -0,0 +1,144 @@
+import { diffChars, diffLines } from "diff";
+
+const contextLines = 3;
+
+/**
+ * Splits `original` → `formatted` into segments: unchanged text (`{ type: "same" }`)
+ * and hunks of removed and added lines (`{ type: "change", id }`). Joining the
+ * segments back with `applyHunks` gives either text, or any mix of the two.
+ */
+export function getSegments(original, formatted) {
+  const segments = [];
+  let hunk = null;
+  diffLines(original, formatted).forEach((part) => {
+    if (!part.added && !part.removed) {
+      hunk = null;
+      segments.push({ type: "same", value: part.value });
+      return;
+    }
+    if (!hunk) {
+      hunk = { type: "change", id: segments.length, removed: "", added: "" };
+      segments.push(hunk);
+    }
+    hunk[part.added ? "added" : "removed"] += part.value;
+  });
+  return segments;
+}
+
+/**
+ * Builds the text keeping the added lines of the hunks whose id is in `accepted` and
+ * the removed lines of all others.
+ */
+export function applyHunks(segments, accepted) {
+  return segments
+    .map((segment) =>
+      segment.type === "same"
+        ? segment.value
+        : accepted.includes(segment.id)
+        ? segment.added
+        : segment.removed
+    )
+    .join("");
+}
+
+export function getSummary(segments) {
+  const count = (text) => splitLines(text).length;
+  const hunks = segments.filter((segment) => segment.type === "change");
+  return {
+    hunks: hunks.length,
+    added: hunks.reduce((sum, hunk) => sum + count(hunk.added), 0),
+    removed: hunks.reduce((sum, hunk) => sum + count(hunk.removed), 0),
+  };
+}
+
+/**
+ * Lays the segments out as rows of a side-by-side view. Each side of a row is `null`
+ * or a line number with the line's parts, the changed characters marked `changed`.
+ * Unchanged lines further than a few lines from a hunk are folded into `{ folded }`.
+ */
+export function getRows(segments) {
+  const rows = [];
+  let left = 1;
+  let right = 1;
+  segments.forEach((segment, index) => {
+    if (segment.type === "same") {
+      const lines = splitLines(segment.value);
+      const keepStart = index > 0 ? contextLines : 0;
+      const keepEnd = index < segments.length - 1 ? contextLines : 0;
+      lines.forEach((line, lineIndex) => {
+        const isFolded =
+          lineIndex >= keepStart && lineIndex < lines.length - keepEnd;
+        if (isFolded) {
+          const previous = rows[rows.length - 1];
+          if (previous && previous.folded) {
+            previous.folded++;
+          } else {
+            rows.push({ folded: 1 });
+          }
+        } else {
+          const parts = [{ value: line, changed: false }];
+          rows.push({
+            left: { number: left, parts },
+            right: { number: right, parts },
+          });
+        }
+        left++;
+        right++;
+      });
+      return;
+    }
+    const changes = diffChars(segment.removed, segment.added);
+    const removedLines = splitParts(changes.filter((part) => !part.added));
+    const addedLines = splitParts(changes.filter((part) => !part.removed));
+    const height = Math.max(removedLines.length, addedLines.length);
+    for (let i = 0; i < height; i++) {
+      rows.push({
+        hunk: segment.id,
+        isFirst: i === 0,
+        left:
+          i < removedLines.length
+            ? { number: left++, parts: removedLines[i] }
+            : null,
+        right:
+          i < addedLines.length
+            ? { number: right++, parts: addedLines[i] }
+            : null,
+      });
+    }
+  });
+  return rows;
+}
+
+function splitLines(text) {
+  const lines = text.split("\n");
+  // the text after the last newline is not a line of its own
+  if (lines[lines.length - 1] === "") {
+    lines.pop();
+  }
+  return lines;
+}
+
+/**
+ * Turns a character diff into lines of parts, marking the parts that were added or
+ * removed as `changed`.
+ */
+function splitParts(changes) {
+  const lines = [[]];
+  changes.forEach((change) => {
+    change.value.split("\n").forEach((value, index) => {
+      if (index > 0) {
+        lines.push([]);
+      }
+      if (value) {
+        lines[lines.length - 1].push({
+          value,
+          changed: !!(change.added || change.removed),
+        });
+      }
+    });
+  });
+  if (lines[lines.length - 1].length === 0) {
+    lines.pop();
+  }
+  return lines;
+}
@@ -0,0 +1,134 @@
+import sveltePlugin from "./newPlugin.js";
+
+/**
+ * Thrown by `format` when a newer request or `cancel` replaced the pending one.
+ */
+export class FormatCancelledError extends Error {
+  constructor() {
+    super("Formatting was cancelled");
+    this.name = "FormatCancelledError";
+  }
+}
+
+/**
+ * Creates a formatter running `formatWithCursor` in the worker at `workerUrl`, so that
+ * large components don't block the page. Only the latest request is kept: starting
+ * one cancels the pending one, and a request taking longer than `timeout` ms is
+ * rejected. Where workers aren't available, formatting runs inline instead.
+ */
+export function createFormatter({
+  workerUrl = "/build/worker.js",
+  timeout = 10000,
+} = {}) {
+  let worker = null;
+  let useWorker = typeof Worker !== "undefined";
+  let lastId = 0;
+  let pending = null;
+
+  function getWorker() {
+    if (!worker) {
+      try {
+        worker = new Worker(workerUrl);
+      } catch (error) {
+        useWorker = false;
+        return null;
+      }
+      worker.onmessage = ({ data }) => {
+        if (pending && pending.id === data.id) {
+          settle(
+            data.error ? null : data.result,
+            data.error ? deserializeError(data.error) : null
+          );
+        }
+      };
+      worker.onerror = (event) => {
+        // the worker script failed to load or crashed, so stop using workers
+        event.preventDefault();
+        terminate();
+        useWorker = false;
+        if (pending) {
+          const { code, options } = pending;
+          formatInline(pending.id, code, options);
+        }
+      };
+    }
+    return worker;
+  }
+
+  function terminate() {
+    if (worker) {
+      worker.terminate();
+      worker = null;
+    }
+  }
+
+  function settle(result, error) {
+    const { resolve, reject, timer } = pending;
+    clearTimeout(timer);
+    pending = null;
+    if (error) {
+      reject(error);
+    } else {
+      resolve(result);
+    }
+  }
+
+  function formatInline(id, code, options) {
+    // let the cancellation of the previous request go through first
+    setTimeout(() => {
+      if (!pending || pending.id !== id) {
+        return;
+      }
+      try {
+        settle(
+          sveltePlugin.formatWithCursor(
+            code,
+            Object.assign({}, options, { plugins: [sveltePlugin] })
+          )
+        );
+      } catch (error) {
+        settle(null, error);
+      }
+    });
+  }
+
+  /**
+   * Stops the pending request, if any. The worker is busy until it is done, so it is
+   * replaced by a fresh one.
+   */
+  function cancel(error = new FormatCancelledError()) {
+    if (pending) {
+      terminate();
+      settle(null, error);
+    }
+  }
+
+  function format(code, options) {
+    cancel();
+    const id = ++lastId;
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(
+        () => cancel(new Error(`Formatting timed out after ${timeout}ms`)),
+        timeout
+      );
+      pending = { id, code, options, resolve, reject, timer };
+      const target = useWorker && getWorker();
+      if (target) {
+        target.postMessage({ id, code, options });
+      } else {
+        formatInline(id, code, options);
+      }
+    });
+  }
+
+  function destroy() {
+    cancel();
+    terminate();
+  }
+
+  return { format, cancel, destroy };
+}
+
+function deserializeError(data) {
+  return Object.assign(new sveltePlugin.SvelteFormatError(data.message), data);
+}
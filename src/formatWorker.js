@@ -0,0 +1,33 @@
+import sveltePlugin from "./newPlugin.js";
+
+/**
+ * Formats `{ id, code, options }` messages and answers with `{ id, result }` or
+ * `{ id, error }`. Plugins can't be posted to a worker, so the plugin is added here.
+ */
+self.onmessage = ({ data: { id, code, options } }) => {
+  try {
+    const result = sveltePlugin.formatWithCursor(
+      code,
+      Object.assign({}, options, { plugins: [sveltePlugin] })
+    );
+    self.postMessage({ id, result });
+  } catch (error) {
+    self.postMessage({ id, error: serializeError(error) });
+  }
+};
+
+/**
+ * Errors lose their own properties when posted, so the ones `SvelteFormatError` adds
+ * are copied over.
+ */
+function serializeError(error) {
+  return {
+    name: error.name,
+    message: error.message,
+    loc: error.loc,
+    line: error.line,
+    column: error.column,
+    nodeType: error.nodeType,
+    codeFrame: error.codeFrame,
+  };
+}
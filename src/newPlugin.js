@@ -4,10 +4,9 @@ Object.defineProperty(exports, "__esModule", { value: true });
 
 var doc = require("prettier/doc");
 var standalone = require("prettier/standalone");
-var parserHtml = require("prettier/parser-html");
 var parserBabel = require("prettier/parser-babel");
 var parserPostcss = require("prettier/parser-postcss");
-var escodegen = require("escodegen");
+var parserTypescript = require("prettier/parser-typescript");
 var compiler = require("svelte/compiler");
 
 function _interopDefaultLegacy(e) {
@@ -16,10 +15,11 @@ function _interopDefaultLegacy(e) {
 
 var doc__default = /*#__PURE__*/ _interopDefaultLegacy(doc);
 var standalone__default = /*#__PURE__*/ _interopDefaultLegacy(standalone);
-var parserHtml__default = /*#__PURE__*/ _interopDefaultLegacy(parserHtml);
 var parserBabel__default = /*#__PURE__*/ _interopDefaultLegacy(parserBabel);
 var parserPostcss__default = /*#__PURE__*/ _interopDefaultLegacy(parserPostcss);
-var escodegen__default = /*#__PURE__*/ _interopDefaultLegacy(escodegen);
+var parserTypescript__default = /*#__PURE__*/ _interopDefaultLegacy(
+  parserTypescript
+);
 var compiler__default = /*#__PURE__*/ _interopDefaultLegacy(compiler);
 
 function unwrapExports(x) {
@@ -54,16 +54,13 @@ function commonjsRequire() {
 var plugin = createCommonjsModule(function (module, exports) {
   Object.defineProperty(exports, "__esModule", { value: true });
 
-  const { format } = standalone__default["default"];
+  const { formatWithCursor: formatWithCursorStandalone } = standalone__default[
+    "default"
+  ];
 
   // import * as doc from 'prettier/doc';
   // import format from 'prettier/standalone';
   // import * as htmlPlugin from 'prettier/parser-html';
-  // import escodegen from 'escodegen';
-
-  let htmlCode = "";
-  let jsCode = "";
-  let cssCode = "";
 
   // @see http://xahlee.info/js/html5_non-closing_tag.html
   const selfClosingTags = [
@@ -136,6 +133,20 @@ var plugin = createCommonjsModule(function (module, exports) {
     "video",
     "wbr",
   ];
+  /**
+   * Inline elements displayed as `inline-block` by default, so that whitespace at the
+   * start and end of their content does not show.
+   */
+  const inlineBlockElements = [
+    "button",
+    "meter",
+    "object",
+    "progress",
+    "select",
+    "textarea",
+    "video",
+    "audio",
+  ];
   /**
    * HTML attributes that we may safely reformat (trim whitespace, add or remove newlines)
    */
@@ -148,65 +159,56 @@ var plugin = createCommonjsModule(function (module, exports) {
   function isASTNode(n) {
     return n && n.__isRoot;
   }
+  const logicBlockTypes = ["IfBlock", "EachBlock", "AwaitBlock", "KeyBlock"];
+  /**
+   * True for the elements whose content is shown with its whitespace as written.
+   */
+  function isPreformattedElement(node) {
+    return (
+      node.type === "Element" &&
+      ["pre", "textarea"].includes(node.name.toLowerCase())
+    );
+  }
   function isPreTagContent(path) {
     const stack = path.stack;
     return stack.some(
       (node) =>
-        (node.type === "Element" && node.name.toLowerCase() === "pre") ||
+        isPreformattedElement(node) ||
         (node.type === "Attribute" &&
-          !formattableAttributes.includes(node.name))
+          !formattableAttributes.includes(node.name)) ||
+        node.type === "StyleDirective"
     );
   }
   function flatten(arrays) {
     return [].concat.apply([], arrays);
   }
 
-  function extractAttributes(html) {
-    const extractAttributesRegex = /<[a-z]+\s*(.*?)>/i;
-    const attributeRegex = /([^\s=]+)(?:=("|')(.*?)\2)?/gi;
-    const [, attributesString] = html.match(extractAttributesRegex);
-    const attrs = [];
-    let match;
-    while ((match = attributeRegex.exec(attributesString))) {
-      const [all, name, quotes, value] = match;
-      const attrStart = match.index;
-      let valueNode;
-      if (!value) {
-        valueNode = true;
-      } else {
-        let valueStart = attrStart + name.length;
-        if (quotes) {
-          valueStart += 2;
-        }
-        valueNode = [
-          {
-            type: "Text",
-            data: value,
-            start: valueStart,
-            end: valueStart + value.length,
-          },
-        ];
-      }
-      attrs.push({
-        type: "Attribute",
-        name,
-        value: valueNode,
-        start: attrStart,
-        end: attrStart + all.length,
-      });
-    }
-    return attrs;
-  }
-
   function getText(node, options) {
     const leadingComments = node.leadingComments;
+    const trailingComments = node.trailingComments;
     return options.originalText.slice(
-      options.locStart(
+      Math.min(
+        options.locStart(node),
         // if there are comments before the node they are not included
         // in the `start` of the node itself
-        (leadingComments && leadingComments[0]) || node
+        leadingComments && leadingComments.length
+          ? options.locStart(leadingComments[0])
+          : Infinity
       ),
-      options.locEnd(node)
+      Math.max(
+        options.locEnd(node),
+        // the same goes for comments after the node, e.g. in `{(value /* note */)}`;
+        // comments inside it, as in `{fn(/* empty */)}`, end before the node does
+        trailingComments && trailingComments.length
+          ? options.locEnd(trailingComments[trailingComments.length - 1])
+          : -Infinity
+      )
+    );
+  }
+  function hasComments(node) {
+    return !!(
+      (node.leadingComments && node.leadingComments.length) ||
+      (node.trailingComments && node.trailingComments.length)
     );
   }
 
@@ -247,47 +249,141 @@ var plugin = createCommonjsModule(function (module, exports) {
       description:
         "Whether or not to indent the code inside <script> and <style> tags in Svelte files",
     },
+    svelteSortClasses: {
+      type: "choice",
+      default: "none",
+      description: "Sort the static class names in `class` attributes",
+      choices: [
+        { value: "none", description: "Keep the class names in their order" },
+        { value: "alphabetical", description: "Sort them alphabetically" },
+        {
+          value: "tailwind",
+          description:
+            "Sort them the way the Tailwind CSS plugin does: other classes first, then utilities by the property they set, variants last",
+        },
+      ],
+    },
+    svelteGroupClassDirectives: {
+      type: "boolean",
+      default: false,
+      description: "Move `class:` directives right after the `class` attribute",
+    },
+    svelteAttributeOrder: {
+      type: "choice",
+      default: "source",
+      description: "Order of the attributes of elements and components",
+      choices: [
+        { value: "source", description: "Keep the attributes in their order" },
+        {
+          value: "grouped",
+          description:
+            "bind:this, bind:, attributes, on:, use:, transitions, class:, without moving any across a spread",
+        },
+      ],
+    },
   };
   const sortOrderSeparator = "-";
   function parseSortOrder(sortOrder) {
     return sortOrder.split(sortOrderSeparator);
   }
 
-  const snippedTagContentAttribute = "✂prettier:content✂";
-  function snipTagContent(tagName, source, placeholder = "") {
-    const regex = new RegExp(
-      `[\\s\n]*<${tagName}([^]*?)>([^]*?)<\/${tagName}>[\\s\n]*`,
-      "gi"
-    );
-    let text = source.replace(
-      regex,
-      (_, attributes, content) =>
-        `<${tagName}${attributes} ${snippedTagContentAttribute}="${btoa(
-          content
-        )}">${placeholder}</${tagName}>`
-    );
-    return text;
+  /**
+   * Parses `text` with the Svelte compiler. The compiler also parses the content of
+   * top-level `<script>` and `<style>` tags, which fails for languages like TypeScript
+   * or SCSS, so the content it fails on is blanked (keeping all positions) and the
+   * text parsed again. Returns the AST and the text it was parsed from.
+   */
+  function parseSvelte(text) {
+    let source = text;
+    for (;;) {
+      try {
+        return { ast: compiler__default["default"].parse(source), source };
+      } catch (error) {
+        const content = getUnparsableContent(source, error);
+        const blanked =
+          content &&
+          source.slice(0, content.start) +
+            source.slice(content.start, content.end).replace(/[^\n]/g, " ") +
+            source.slice(content.end);
+        if (!blanked || blanked === source) {
+          throw error;
+        }
+        source = blanked;
+      }
+    }
+  }
+  /**
+   * Returns the content of the top-level `<script>` or `<style>` tag that the error
+   * was thrown for, if the compiler failed to parse it. Like the compiler, the content
+   * ends at the first closing tag.
+   */
+  function getUnparsableContent(source, error) {
+    const tagName = {
+      "parse-error": "script",
+      "css-syntax-error": "style",
+    }[error.code];
+    if (!tagName || error.pos == null) {
+      return null;
+    }
+    const closingTag = "</" + tagName;
+    const end = source.indexOf(closingTag, error.pos);
+    const tagStart = source.lastIndexOf("<" + tagName, error.pos);
+    const start = tagStart < 0 ? -1 : source.indexOf(">", tagStart) + 1;
+    if (
+      end < 0 ||
+      start <= 0 ||
+      start > error.pos ||
+      source.indexOf(closingTag, start) !== end
+    ) {
+      // the error is somewhere else, e.g. in an expression in the markup
+      return null;
+    }
+    return { start, end };
   }
-  function hasSnippedContent(text) {
-    return text.includes(snippedTagContentAttribute);
+  /**
+   * The compiler keeps no attributes for top-level scripts, so the opening tag is
+   * parsed again inside an element, where a `<script>` is an ordinary element.
+   */
+  function getScriptAttributes(script, text) {
+    const wrapper = "<div>";
+    const { html } = compiler__default["default"].parse(
+      wrapper +
+        text.slice(script.start, script.content.start) +
+        "</script></div>"
+    );
+    const attributes = html.children[0].children[0].attributes;
+    shiftPositions(attributes, script.start - wrapper.length);
+    return attributes;
   }
-  function unsnipContent(text) {
-    const regex = /(<\w+.*?)\s*✂prettier:content✂="(.*?)">.*?(?=<\/)/gi;
-    return text.replace(regex, (_, start, encodedContent) => {
-      return `${start}>${atob(encodedContent)}`;
+  function shiftPositions(node, offset, shifted = new Set()) {
+    if (!node || typeof node !== "object" || shifted.has(node)) {
+      return;
+    }
+    // comments may be both in a list of their own and attached to nodes
+    shifted.add(node);
+    if (Array.isArray(node)) {
+      node.forEach((child) => shiftPositions(child, offset, shifted));
+      return;
+    }
+    Object.keys(node).forEach((key) => {
+      if ((key === "start" || key === "end") && typeof node[key] === "number") {
+        node[key] += offset;
+      } else if (key === "range" && Array.isArray(node.range)) {
+        // babel's positions as read by Prettier
+        node.range = node.range.map((position) => position + offset);
+      } else {
+        shiftPositions(node[key], offset, shifted);
+      }
     });
   }
 
-  function getSnippedContent(node) {
-    const encodedContent = getAttributeTextValue(
-      snippedTagContentAttribute,
-      node
-    );
-    if (encodedContent) {
-      return atob(encodedContent);
-    } else {
-      return "";
-    }
+  /**
+   * The source between the opening and the closing tag of a top-level `<script>` or
+   * `<style>`.
+   */
+  function getEmbeddedContent(node, options) {
+    const text = options.originalText;
+    return text.slice(node.content.start, text.lastIndexOf("</", node.end - 1));
   }
 
   const unsupportedLanguages = [
@@ -298,48 +394,96 @@ var plugin = createCommonjsModule(function (module, exports) {
     "stylus",
     "sass",
   ];
-  function isInlineElement(node) {
-    return node.type === "Element" && inlineElements.includes(node.name);
+  /**
+   * Maps the `lang` of a `<style>` tag to the postcss dialect parsing it.
+   */
+  const styleParsers = {
+    css: "css",
+    postcss: "css",
+    pcss: "css",
+    scss: "scss",
+    less: "less",
+  };
+  function getStyleParser(node) {
+    return styleParsers[getLangAttribute(node)] || "css";
   }
-  function isWhitespaceChar(ch) {
-    return " \t\n\r".indexOf(ch) >= 0;
+  /**
+   * Prettier's `htmlWhitespaceSensitivity`: with `css` whitespace is significant around
+   * and inside the elements displayed inline by default and components, with `strict`
+   * around and inside all elements and components, and with `ignore` nowhere.
+   */
+  function getWhitespaceSensitivity(options) {
+    return options.htmlWhitespaceSensitivity || "css";
   }
-  function canBreakAfter(node) {
-    switch (node.type) {
-      case "Text":
-        return isWhitespaceChar(node.raw[node.raw.length - 1]);
-      case "Element":
-        return !isInlineElement(node);
-      default:
-        return true;
+  /**
+   * True if the element or component flows with the text around it instead of going on
+   * lines of its own.
+   */
+  function isInlineElement(node, options) {
+    const isComponent =
+      node.type === "InlineComponent" ||
+      node.type === "SlotTemplate" ||
+      node.type === "Slot";
+    if (node.type === "Element" && ["script", "style"].includes(node.name)) {
+      return false;
     }
-  }
-  function canBreakBefore(node) {
-    switch (node.type) {
-      case "Text":
-        return isWhitespaceChar(node.raw[0]);
-      case "Element":
-        return !isInlineElement(node);
+    switch (getWhitespaceSensitivity(options)) {
+      case "strict":
+        return node.type === "Element" || isComponent;
+      case "ignore":
+        return node.type === "Element" && inlineElements.includes(node.name);
       default:
-        return true;
+        return (
+          (node.type === "Element" && inlineElements.includes(node.name)) ||
+          isComponent
+        );
     }
   }
-  function isInlineNode(node) {
-    switch (node.type) {
-      case "Text":
-        const text = node.raw || node.data;
-        const isAllWhitespace = text.trim() === "";
-        return !isAllWhitespace || text === "";
-      case "MustacheTag":
-      case "EachBlock":
-      case "IfBlock":
-        return true;
-      case "Element":
-        return isInlineElement(node);
-      default:
+  function isTextLikeNode(node) {
+    return (
+      node.type === "Text" ||
+      node.type === "MustacheTag" ||
+      node.type === "RawMustacheTag"
+    );
+  }
+  function isInlineNode(node, options) {
+    return (
+      (isTextLikeNode(node) && !isEmptyNode(node)) ||
+      isInlineElement(node, options)
+    );
+  }
+  /**
+   * True if whitespace is significant at the start and end of the element's content,
+   * so that none may be added there.
+   */
+  function hasWhitespaceSensitiveContent(node, options) {
+    switch (getWhitespaceSensitivity(options)) {
+      case "strict":
+        return isInlineElement(node, options);
+      case "ignore":
         return false;
+      default:
+        return (
+          isInlineElement(node, options) &&
+          !(node.type === "Element" && inlineBlockElements.includes(node.name))
+        );
     }
   }
+  /**
+   * True if no whitespace may be added between `before` and `after`, where null stands
+   * for the start or end of the content of `parent`.
+   */
+  function isWhitespaceSensitiveBetween(before, after, parent, options) {
+    const isInlineSide = (node) =>
+      node
+        ? isInlineNode(node, options)
+        : hasWhitespaceSensitiveContent(parent, options);
+    return (
+      getWhitespaceSensitivity(options) !== "ignore" &&
+      isInlineSide(before) &&
+      isInlineSide(after)
+    );
+  }
   function isNodeWithChildren(node) {
     return node.children;
   }
@@ -347,24 +491,58 @@ var plugin = createCommonjsModule(function (module, exports) {
     return isNodeWithChildren(node) ? node.children : [];
   }
   /**
-   * Returns the next sibling node.
+   * Returns the previous sibling node, skipping whitespace-only text.
    */
-  function getNextNode(path) {
+  function getPreviousNode(path) {
     const node = path.getNode();
     let parent = path.getParentNode();
     if (isASTNode(parent)) {
       parent = parent.html;
     }
-    return getChildren(parent).find((child) => child.start === node.end);
+    const siblings = getChildren(parent);
+    const index = siblings.indexOf(node);
+    return findLast(
+      (sibling) => !isEmptyNode(sibling),
+      siblings.slice(0, Math.max(index, 0))
+    );
   }
   function isEmptyNode(node) {
     return node.type === "Text" && (node.raw || node.data).trim() === "";
   }
   function isIgnoreDirective(node) {
+    return isCommentWithText(node, "prettier-ignore");
+  }
+  function isIgnoreStartDirective(node) {
+    return isCommentWithText(node, "prettier-ignore-start");
+  }
+  function isIgnoreEndDirective(node) {
+    return isCommentWithText(node, "prettier-ignore-end");
+  }
+  function isCommentWithText(node, text) {
+    return !!node && node.type === "Comment" && node.data.trim() === text;
+  }
+  function isWhitespaceBetween(node, nextNode, options) {
     return (
-      !!node &&
-      node.type === "Comment" &&
-      node.data.trim() === "prettier-ignore"
+      options.originalText
+        .slice(options.locEnd(node), options.locStart(nextNode))
+        .trim() === ""
+    );
+  }
+  /**
+   * Returns the top-level `<script>` or `<style>` node directly following the node, if any.
+   * Those nodes are cut out of the markup, so they are no siblings of the node.
+   */
+  function getFollowingEmbeddedTag(root, node, options) {
+    return [root.module, root.instance, root.css].find(
+      (tag) =>
+        tag &&
+        options.locStart(tag) >= options.locEnd(node) &&
+        isWhitespaceBetween(node, tag, options)
+    );
+  }
+  function isEmbeddedTagIgnoreDirective(root, node, options) {
+    return (
+      isIgnoreDirective(node) && !!getFollowingEmbeddedTag(root, node, options)
     );
   }
   function printRaw(node) {
@@ -372,7 +550,7 @@ var plugin = createCommonjsModule(function (module, exports) {
     if (children) {
       return children.map(printRaw).join("");
     } else {
-      return node.raw || "";
+      return node.raw || node.data || "";
     }
   }
   function isTextNode(node) {
@@ -403,6 +581,10 @@ var plugin = createCommonjsModule(function (module, exports) {
       return null;
     }
   }
+  function isTypeScriptNode(node) {
+    const lang = getLangAttribute(node);
+    return lang === "ts" || lang === "typescript";
+  }
   /**
    * Checks whether the node contains a `lang` attribute with a value corresponding to
    * a language we cannot format. This might for example be `<template lang="pug">`.
@@ -426,44 +608,31 @@ var plugin = createCommonjsModule(function (module, exports) {
    * True if node is of type `{a}` or `a={a}`
    */
   function isOrCanBeConvertedToShorthand(node) {
+    if (node.type === "StyleDirective" && node.value === true) {
+      return true;
+    }
     if (isAttributeShorthand(node.value)) {
       return true;
     }
     if (isLoneMustacheTag(node.value)) {
-      const expression = node.value[0].expression;
-      return expression.type === "Identifier" && expression.name === node.name;
+      return isShorthandExpression(node.value[0].expression, node.name);
     }
     return false;
   }
-
-  function isLine(doc) {
-    return typeof doc === "object" && doc.type === "line";
-  }
-  function isLineDiscardedIfLonely(doc) {
-    return isLine(doc) && !doc.keepIfLonely;
-  }
   /**
-   * Check if the doc is empty, i.e. consists of nothing more than empty strings (possibly nested).
+   * True if `expression` is the identifier `name`, without any comments that a
+   * shorthand would lose.
    */
-  function isEmptyDoc(doc) {
-    if (typeof doc === "string") {
-      return doc.length === 0;
-    }
-    if (doc.type === "line") {
-      return !doc.keepIfLonely;
-    }
-    const { contents } = doc;
-    if (contents) {
-      return isEmptyDoc(contents);
-    }
-    const { parts } = doc;
-    if (parts) {
-      return isEmptyGroup(parts);
-    }
-    return false;
+  function isShorthandExpression(expression, name) {
+    return (
+      expression.type === "Identifier" &&
+      expression.name === name &&
+      !hasComments(expression)
+    );
   }
-  function isEmptyGroup(group) {
-    return !group.find((doc) => !isEmptyDoc(doc));
+
+  function isLine(doc) {
+    return typeof doc === "object" && doc.type === "line";
   }
   /**
    * Trims both leading and trailing nodes matching `isWhitespace` independent of nesting level
@@ -517,6 +686,10 @@ var plugin = createCommonjsModule(function (module, exports) {
       return doc.parts;
     }
   }
+  function findLast(isMatch, items) {
+    const index = findLastIndex(isMatch, items);
+    return index < 0 ? undefined : items[index];
+  }
   function findLastIndex(isMatch, items) {
     for (let i = items.length - 1; i >= 0; i--) {
       if (isMatch(items[i])) {
@@ -539,11 +712,6 @@ var plugin = createCommonjsModule(function (module, exports) {
     breakParent,
     literalline,
   } = doc__default["default"].builders;
-  let ignoreNext = false;
-  const keepIfLonelyLine = Object.assign({}, line, {
-    keepIfLonely: true,
-    hard: true,
-  });
   function print(path, options$$1, print) {
     const n = path.getValue();
     if (!n) {
@@ -556,16 +724,10 @@ var plugin = createCommonjsModule(function (module, exports) {
         scripts() {
           if (n.module) {
             n.module.type = "Script";
-            n.module.attributes = extractAttributes(
-              getText(n.module, options$$1)
-            );
             parts.push(path.call(print, "module"));
           }
           if (n.instance) {
             n.instance.type = "Script";
-            n.instance.attributes = extractAttributes(
-              getText(n.instance, options$$1)
-            );
             parts.push(path.call(print, "instance"));
           }
         },
@@ -584,52 +746,56 @@ var plugin = createCommonjsModule(function (module, exports) {
         },
       };
       parseSortOrder(options$$1.svelteSortOrder).forEach((p) => addParts[p]());
-      ignoreNext = false;
       return group(join(hardline, parts));
     }
     const [open, close] = options$$1.svelteStrictMode
       ? ['"{', '}"']
       : ["{", "}"];
     const node = n;
-    if (ignoreNext && (node.type !== "Text" || !isEmptyNode(node))) {
-      ignoreNext = false;
-      return concat(
-        flatten(
-          options$$1.originalText
-            .slice(options$$1.locStart(node), options$$1.locEnd(node))
-            .split("\n")
-            .map((o, i) => (i == 0 ? [o] : [literalline, o]))
+    const previousNode = getPreviousNode(path);
+    if (
+      (!isEmptyNode(node) &&
+        isIgnoreDirective(previousNode) &&
+        isWhitespaceBetween(previousNode, node, options$$1)) ||
+      // blocks would reindent their content, which inside `<pre>` is visible
+      (logicBlockTypes.includes(node.type) && isPreTagContent(path))
+    ) {
+      return printRawText(
+        options$$1.originalText.slice(
+          options$$1.locStart(node),
+          options$$1.locEnd(node)
         )
       );
     }
     switch (node.type) {
       case "Fragment":
         const children = node.children;
-        if (children.length === 0 || children.every(isEmptyNode)) {
+        if (
+          children.length === 0 ||
+          children.every(
+            (child) =>
+              isEmptyNode(child) ||
+              isEmbeddedTagIgnoreDirective(path.stack[0], child, options$$1)
+          )
+        ) {
           return "";
         }
         if (!isPreTagContent(path)) {
           return concat([
-            ...trim(printChildren(path, print), isLine),
+            ...trim(printChildren(path, print, options$$1), isLine),
             hardline,
           ]);
         } else {
-          return concat(printChildren(path, print));
+          return concat(printChildren(path, print, options$$1));
         }
       case "Text":
+        if (attributeNodeTypes.includes(path.getParentNode().type)) {
+          // values are printed in double quotes, also those written in single quotes
+          return escapeDoubleQuotes(node.raw || node.data);
+        }
         if (!isPreTagContent(path)) {
           if (isEmptyNode(node)) {
-            return Object.assign({}, line, {
-              /**
-               * A text node is considered lonely if it is in a group without other inline
-               * elements, such as the line breaks between otherwise consecutive HTML tags.
-               * Text nodes that are both empty and lonely are discarded unless they have at
-               * least one empty line (i.e. at least two linebreak sequences). This is to
-               * allow for flexible grouping of HTML tags in a particular indentation level,
-               * and is similar to how vanilla HTML is handled in Prettier core.
-               */
-              keepIfLonely: /\n\r?\s*\n\r?/.test(node.raw || node.data),
-            });
+            return line;
           }
           /**
            * For non-empty text nodes each sequence of non-whitespace characters (effectively,
@@ -639,32 +805,82 @@ var plugin = createCommonjsModule(function (module, exports) {
            */
           return fill(splitTextToDocs(node.raw || node.data));
         } else {
-          return node.data;
+          return node.raw || node.data;
         }
       case "Element":
       case "InlineComponent":
       case "Slot":
       case "Window":
       case "Head":
-      case "Title": {
+      case "Title":
+      case "SlotTemplate": {
         const isSupportedLanguage = !(
           node.name === "template" && !isNodeSupportedLanguage(node)
         );
-        const isEmpty = node.children.every((child) => isEmptyNode(child));
+        // the content of a `<script>` or `<style>` inside the markup is only reindented
+        const isRawTextElement =
+          node.type === "Element" &&
+          (node.name === "script" || node.name === "style");
+        const isWhitespaceOnly = node.children.every((child) =>
+          isEmptyNode(child)
+        );
+        // whitespace-only content is kept where it shows, as in `a<span> </span>b`
+        const keepsWhitespace =
+          isWhitespaceOnly &&
+          node.children.some((child) => (child.raw || child.data) !== "") &&
+          (isPreTagContent(path) ||
+            hasWhitespaceSensitiveContent(node, options$$1));
+        const isEmpty = isWhitespaceOnly && !keepsWhitespace;
         const isSelfClosingTag =
           isEmpty &&
+          // HTML has no self-closing `<script>` or `<style>`
+          !isRawTextElement &&
           (!options$$1.svelteStrictMode ||
             node.type !== "Element" ||
             selfClosingTags.indexOf(node.name) !== -1);
         let body;
+        // the tag ends printed around the body, unless the body includes them
+        let bodyTags = [">", `</${node.name}>`];
+        // whether the `>` of the opening tag goes on the line of the content
+        let hugsContent = false;
         if (isEmpty) {
           body = "";
+        } else if (keepsWhitespace && !isPreTagContent(path)) {
+          body = " ";
+        } else if (isRawTextElement) {
+          body = printIndentedRawText(printRaw(node));
         } else if (!isSupportedLanguage) {
           body = printRaw(node);
-        } else if (isInlineElement(node) || isPreTagContent(path)) {
-          body = printIndentedPreservingWhitespace(path, print);
+        } else if (isPreTagContent(path)) {
+          body = printIndentedPreservingWhitespace(path, print, options$$1);
+        } else if (hasWhitespaceSensitiveContent(node, options$$1)) {
+          /**
+           * No whitespace may be added inside the element, so where its content has none at
+           * its start or end, the lines break inside of the tags instead:
+           * `<span\n  >content</span\n>`.
+           */
+          const children = printChildren(path, print, options$$1);
+          const hasTrailingLine = isLine(children[children.length - 1]);
+          if (hasTrailingLine) {
+            children.pop();
+          }
+          hugsContent = !isLine(children[0]);
+          bodyTags = ["", ""];
+          body = concat([
+            indent(
+              concat([
+                hugsContent ? softline : "",
+                ">",
+                ...children,
+                hasTrailingLine ? "" : `</${node.name}`,
+              ])
+            ),
+            hasTrailingLine
+              ? concat([line, `</${node.name}>`])
+              : concat([softline, ">"]),
+          ]);
         } else {
-          body = printIndentedWithNewlines(path, print);
+          body = printIndentedWithNewlines(path, print, options$$1);
         }
         return group(
           concat([
@@ -682,11 +898,19 @@ var plugin = createCommonjsModule(function (module, exports) {
                         close,
                       ])
                     : "",
-                  ...path.map(
-                    (childPath) => childPath.call(print),
-                    "attributes"
-                  ),
-                  options$$1.svelteBracketNewLine
+                  node.type === "Element" && node.tag
+                    ? typeof node.tag === "string"
+                      ? concat([line, 'this="', node.tag, '"'])
+                      : concat([
+                          line,
+                          "this=",
+                          open,
+                          printJS(path, print, "tag"),
+                          close,
+                        ])
+                    : "",
+                  ...printAttributes(path, print, options$$1),
+                  options$$1.svelteBracketNewLine && !hugsContent
                     ? dedent(isSelfClosingTag ? line : softline)
                     : "",
                 ])
@@ -694,12 +918,13 @@ var plugin = createCommonjsModule(function (module, exports) {
             ),
             ...(isSelfClosingTag
               ? [options$$1.svelteBracketNewLine ? "" : " ", `/>`]
-              : [">", body, `</${node.name}>`]),
+              : [bodyTags[0], body, bodyTags[1]]),
           ])
         );
       }
       case "Options":
       case "Body":
+      case "Document":
         return group(
           concat([
             "<",
@@ -720,13 +945,6 @@ var plugin = createCommonjsModule(function (module, exports) {
         return node.expression.name;
       }
       case "Attribute": {
-        if (node.name === "✂prettier:content✂") {
-          jsCode = format(atob(node.value[0].data), {
-            parser: "babel",
-            plugins: [parserBabel__default["default"]],
-          });
-          return jsCode;
-        }
         if (isOrCanBeConvertedToShorthand(node)) {
           if (options$$1.svelteStrictMode) {
             return concat([line, node.name, '="{', node.name, '}"']);
@@ -745,7 +963,8 @@ var plugin = createCommonjsModule(function (module, exports) {
             path,
             print,
             quotes,
-            node
+            node,
+            options$$1
           );
           if (quotes) {
             return concat([line, node.name, "=", '"', attrNodeValue, '"']);
@@ -754,16 +973,24 @@ var plugin = createCommonjsModule(function (module, exports) {
           }
         }
       }
-      case "ArrowFunctionExpression":
-        return escodegen__default["default"].generate(node);
-      case "MustacheTag":
-        return concat(["{", printJS(path, print, "expression"), "}"]);
+      case "MustacheTag": {
+        const expression = printJS(path, print, "expression");
+        // Svelte reads `{/` as a closing tag, so an expression starting with a
+        // comment (or a regular expression) needs parentheses outside of attributes
+        if (
+          path.getParentNode().type !== "Attribute" &&
+          getFirstString(expression).startsWith("/")
+        ) {
+          return concat(["{(", expression, ")}"]);
+        }
+        return concat(["{", expression, "}"]);
+      }
       case "IfBlock": {
         const def = [
           "{#if ",
           printJS(path, print, "expression"),
           "}",
-          printIndentedWithNewlines(path, print),
+          printIndentedWithNewlines(path, print, options$$1),
         ];
         if (node.else) {
           def.push(path.call(print, "else"));
@@ -788,7 +1015,7 @@ var plugin = createCommonjsModule(function (module, exports) {
             )[0],
             "}",
             path.map(
-              (ifPath) => printIndentedWithNewlines(ifPath, print),
+              (ifPath) => printIndentedWithNewlines(ifPath, print, options$$1),
               "children"
             )[0],
           ];
@@ -800,15 +1027,18 @@ var plugin = createCommonjsModule(function (module, exports) {
           return group(concat(def));
         }
         return group(
-          concat(["{:else}", printIndentedWithNewlines(path, print)])
+          concat([
+            "{:else}",
+            printIndentedWithNewlines(path, print, options$$1),
+          ])
         );
       }
       case "EachBlock": {
         const def = [
           "{#each ",
           printJS(path, print, "expression"),
-          " as ",
-          printJS(path, print, "context"),
+          " as",
+          printPattern(path, print, "context"),
         ];
         if (node.index) {
           def.push(", ", node.index);
@@ -816,7 +1046,7 @@ var plugin = createCommonjsModule(function (module, exports) {
         if (node.key) {
           def.push(" (", printJS(path, print, "key"), ")");
         }
-        def.push("}", printIndentedWithNewlines(path, print));
+        def.push("}", printIndentedWithNewlines(path, print, options$$1));
         if (node.else) {
           def.push(path.call(print, "else"));
         }
@@ -837,7 +1067,7 @@ var plugin = createCommonjsModule(function (module, exports) {
                 "{#await ",
                 printJS(path, print, "expression"),
                 " then",
-                expandNode(node.value),
+                printPattern(path, print, "value"),
                 "}",
               ])
             ),
@@ -852,14 +1082,16 @@ var plugin = createCommonjsModule(function (module, exports) {
           }
           if (hasThenBlock) {
             block.push(
-              group(concat(["{:then", expandNode(node.value), "}"])),
+              group(
+                concat(["{:then", printPattern(path, print, "value"), "}"])
+              ),
               indent(path.call(print, "then"))
             );
           }
         }
         if (hasCatchBlock) {
           block.push(
-            group(concat(["{:catch", expandNode(node.error), "}"])),
+            group(concat(["{:catch", printPattern(path, print, "error"), "}"])),
             indent(path.call(print, "catch"))
           );
         }
@@ -871,7 +1103,7 @@ var plugin = createCommonjsModule(function (module, exports) {
       case "CatchBlock":
         return concat([
           softline,
-          ...trim(printChildren(path, print), isLine),
+          ...trim(printChildren(path, print, options$$1), isLine),
           dedent(softline),
         ]);
       case "EventHandler":
@@ -891,8 +1123,7 @@ var plugin = createCommonjsModule(function (module, exports) {
           line,
           "bind:",
           node.name,
-          node.expression.type === "Identifier" &&
-          node.expression.name === node.name
+          isShorthandExpression(node.expression, node.name)
             ? ""
             : concat(["=", open, printJS(path, print, "expression"), close]),
         ]);
@@ -901,8 +1132,7 @@ var plugin = createCommonjsModule(function (module, exports) {
           line,
           "class:",
           node.name,
-          node.expression.type === "Identifier" &&
-          node.expression.name === node.name
+          isShorthandExpression(node.expression, node.name)
             ? ""
             : concat(["=", open, printJS(path, print, "expression"), close]),
         ]);
@@ -912,9 +1142,7 @@ var plugin = createCommonjsModule(function (module, exports) {
           "let:",
           node.name,
           // shorthand let directives have `null` expressions
-          !node.expression ||
-          (node.expression.type === "Identifier" &&
-            node.expression.name === node.name)
+          !node.expression || isShorthandExpression(node.expression, node.name)
             ? ""
             : concat(["=", open, printJS(path, print, "expression"), close]),
         ]);
@@ -929,24 +1157,15 @@ var plugin = createCommonjsModule(function (module, exports) {
       case "Ref":
         return concat([line, "ref:", node.name]);
       case "Comment": {
-        if (isIgnoreDirective(node)) {
-          /**
-           * If there no sibling node that starts right after us, that means that node
-           * was actually an embedded `<style>` or `<script>` node that was cut out.
-           * If so, the ignore directive does not refer to the next line we will see.
-           * The `embed` function handles printing the ignore directive in the right place.
-           */
-          if (!getNextNode(path)) {
-            return "";
-          } else {
-            ignoreNext = true;
-          }
-        }
-        let text = node.data;
-        if (hasSnippedContent(text)) {
-          text = unsnipContent(text);
+        /**
+         * An ignore directive in front of a top-level `<style>` or `<script>` node, which the
+         * compiler takes out of the markup, does not refer to the next line we will see. `printEmbeddedTag` handles
+         * printing the ignore directive in the right place.
+         */
+        if (isEmbeddedTagIgnoreDirective(path.stack[0], node, options$$1)) {
+          return "";
         }
-        return group(concat(["<!--", text, "-->"]));
+        return group(concat(["<!--", node.data, "-->"]));
       }
       case "Transition":
         const kind =
@@ -981,174 +1200,982 @@ var plugin = createCommonjsModule(function (module, exports) {
             ? concat(["=", open, printJS(path, print, "expression"), close])
             : "",
         ]);
+      case "StyleDirective":
+        if (isOrCanBeConvertedToShorthand(node)) {
+          return concat([
+            line,
+            "style:",
+            node.name,
+            node.modifiers && node.modifiers.length
+              ? concat(["|", join("|", node.modifiers)])
+              : "",
+          ]);
+        } else {
+          const quotes =
+            !isLoneMustacheTag(node.value) || options$$1.svelteStrictMode;
+          const attrNodeValue = printAttributeNodeValue(
+            path,
+            print,
+            quotes,
+            node
+          );
+          return concat([
+            line,
+            "style:",
+            node.name,
+            node.modifiers && node.modifiers.length
+              ? concat(["|", join("|", node.modifiers)])
+              : "",
+            "=",
+            quotes ? concat(['"', attrNodeValue, '"']) : attrNodeValue,
+          ]);
+        }
+      case "KeyBlock":
+        return concat([
+          group(
+            concat([
+              "{#key ",
+              printJS(path, print, "expression"),
+              "}",
+              printIndentedWithNewlines(path, print, options$$1),
+              "{/key}",
+            ])
+          ),
+          breakParent,
+        ]);
+      case "ConstTag":
+        if (hasComments(node.expression)) {
+          // keep comments around the whole assignment as written
+          return concat([
+            "{@const ",
+            getText(node.expression, options$$1),
+            "}",
+          ]);
+        }
+        // printed as a whole, the assignment would be wrapped in parentheses
+        return concat([
+          "{@const ",
+          path.call(
+            (expressionPath) => printJS(expressionPath, print, "left"),
+            "expression"
+          ),
+          " = ",
+          path.call(
+            (expressionPath) => printJS(expressionPath, print, "right"),
+            "expression"
+          ),
+          "}",
+        ]);
       case "RawMustacheTag":
         return concat(["{@html ", printJS(path, print, "expression"), "}"]);
       case "Spread":
         return concat([line, "{...", printJS(path, print, "expression"), "}"]);
       case "Script":
-        jsCode = format(getSnippedContent(node), {
-          parser: "babel",
-          plugins: [parserBabel__default["default"]],
-        });
-        htmlCode = format(`<script>${jsCode}</script>`, {
-          parser: "html",
-          plugins: [parserHtml__default["default"]],
-        });
-        return htmlCode;
+        // reached when embedded formatting is turned off or the content did not parse
+        if (node.bodyError) {
+          throw node.bodyError;
+        }
+        return printEmbeddedTag(
+          path,
+          print,
+          "script",
+          printRawText,
+          options$$1
+        );
       case "Style":
-        cssCode = format(getSnippedContent(node), {
-          parser: "css",
-          plugins: [parserPostcss__default["default"]],
-        });
-        htmlCode = format(`<style>${cssCode}</style>`, {
-          parser: "html",
-          plugins: [parserHtml__default["default"]],
-        });
-        return htmlCode;
-      case "BinaryExpression":
-        return escodegen__default["default"].generate(node);
-      case "Literal":
-        return node.raw;
-      case "ConditionalExpression":
-        return escodegen__default["default"].generate(node);
-      case "MemberExpression":
-        return escodegen__default["default"].generate(node);
-      case "TemplateLiteral":
-        return escodegen__default["default"].generate(node);
-    }
-    console.error(JSON.stringify(node, null, 4));
-    throw new Error("unknown node type: " + node.type);
-  }
-  function printAttributeNodeValue(path, print, quotes, node) {
+        if (node.bodyError) {
+          throw node.bodyError;
+        }
+        return printEmbeddedTag(path, print, "style", printRawText, options$$1);
+    }
+    if (node.isJS || node.isPattern) {
+      // reached when embedded formatting is turned off
+      return getText(node, options$$1);
+    }
+    throw createUnknownNodeError(node, options$$1);
+  }
+  /**
+   * Print the text as is, keeping its line breaks without adding indentation.
+   */
+  function printRawText(text) {
+    return concat(
+      flatten(text.split("\n").map((o, i) => (i == 0 ? [o] : [literalline, o])))
+    );
+  }
+  /**
+   * Print the lines of the text on lines of their own, indented one level deeper than
+   * the tags around them instead of as far as they were.
+   */
+  function printIndentedRawText(text) {
+    const lines = text.replace(/^\s*\n|\s+$/g, "").split("\n");
+    const indentation = Math.min(
+      ...lines
+        .filter((line) => line.trim())
+        .map((line) => line.match(/^[ \t]*/)[0].length)
+    );
+    return concat([
+      indent(
+        concat(
+          flatten(
+            lines.map((line) => [
+              hardline,
+              line.trim() ? line.slice(indentation) : "",
+            ])
+          )
+        )
+      ),
+      hardline,
+    ]);
+  }
+  function printAttributeNodeValue(path, print, quotes, node, options) {
     const valueDocs = path.map((childPath) => childPath.call(print), "value");
     if (!quotes || !formattableAttributes.includes(node.name)) {
       return concat(valueDocs);
+    } else if (node.type === "Attribute" && node.name === "class") {
+      return indent(group(printClassNames(node, valueDocs, options)));
     } else {
       return indent(group(concat(trim(valueDocs, isLine))));
     }
   }
-  function printChildren(path, print) {
-    let childDocs = [];
-    let currentGroup = [];
-    // the index of the last child doc we could add a linebreak after
-    let lastBreakIndex = -1;
-    const isPreformat = isPreTagContent(path);
-    /**
-     * Call when reaching a point where a linebreak is possible. Will
-     * put all `childDocs` since the last possible linebreak position
-     * into a `concat` to avoid them breaking.
-     */
-    function linebreakPossible() {
-      if (lastBreakIndex >= 0 && lastBreakIndex < childDocs.length - 1) {
-        childDocs = childDocs
-          .slice(0, lastBreakIndex)
-          .concat(concat(childDocs.slice(lastBreakIndex)));
-      }
-      lastBreakIndex = -1;
-    }
-    /**
-     * Add a document to the output.
-     * @param childDoc null means do not add anything but allow for the possibility of a linebreak here.
-     */
-    function outputChildDoc(childDoc, fromNodes) {
-      if (!isPreformat) {
-        const firstNode = fromNodes[0];
-        const lastNode = fromNodes[fromNodes.length - 1];
-        if (!childDoc || canBreakBefore(firstNode)) {
-          linebreakPossible();
-          const lastChild = childDocs[childDocs.length - 1];
-          // separate children by softlines, but not if the children are already lines.
-          // one exception: allow for a line break before "keepIfLonely" lines because they represent an empty line
-          if (
-            childDoc != null &&
-            !isLineDiscardedIfLonely(childDoc) &&
-            lastChild != null &&
-            !isLine(lastChild)
-          ) {
-            childDocs.push(softline);
-          }
-        }
-        if (lastBreakIndex < 0 && childDoc && !canBreakAfter(lastNode)) {
-          lastBreakIndex = childDocs.length;
-        }
-      }
-      if (childDoc) {
-        childDocs.push(childDoc);
-      }
-    }
-    function lastChildDocProduced() {
-      // line breaks are ok after last child
-      outputChildDoc(null, []);
-    }
-    /**
-     * Sequences of inline nodes (currently, `TextNode`s and `MustacheTag`s) are collected into
-     * groups and printed as a single `Fill` doc so that linebreaks as a result of sibling block
-     * nodes (currently, all HTML elements) don't cause those inline sequences to break
-     * prematurely. This is particularly important for whitespace sensitivity, as it is often
-     * desired to have text directly wrapping a mustache tag without additional whitespace.
-     */
-    function flush() {
-      let groupDocs = currentGroup.map((item) => item.doc);
-      const groupNodes = currentGroup.map((item) => item.node);
-      for (let doc of extractOutermostNewlines(groupDocs)) {
-        outputChildDoc(doc, groupNodes);
-      }
-      currentGroup = [];
-    }
-    path.each((childPath) => {
-      const childNode = childPath.getValue();
-      const childDoc = childPath.call(print);
-      if (isInlineNode(childNode)) {
-        currentGroup.push({ doc: childDoc, node: childNode });
-      } else {
-        flush();
-        outputChildDoc(
-          isLine(childDoc) ? childDoc : concat([breakParent, childDoc]),
-          [childNode]
-        );
-      }
-    }, "children");
-    flush();
-    lastChildDocProduced();
-    return childDocs;
-  }
   /**
-   * Print the nodes in `path` indented and with leading and trailing newlines.
+   * Print the attributes of an element in the order `getAttributeOrder` gives.
    */
-  function printIndentedWithNewlines(path, print) {
-    return indent(
-      concat([
-        softline,
-        ...trim(printChildren(path, print), isLine),
-        dedent(softline),
-      ])
+  function printAttributes(path, print, options) {
+    const docs = path.map(print, "attributes");
+    return getAttributeOrder(path.getValue().attributes, options).map(
+      (index) => docs[index]
     );
   }
   /**
-   * Print the nodes in `path` indented but without adding any leading or trailing newlines.
+   * Splits the indexes of the attributes into the runs between spreads, with every
+   * spread in a run of its own. A spread may override the attributes before it, so
+   * attributes are never moved across one.
    */
-  function printIndentedPreservingWhitespace(path, print) {
-    return indent(concat(dedentFinalNewline(printChildren(path, print))));
+  function splitAtSpreads(attributes) {
+    const runs = [[]];
+    attributes.forEach((attribute, index) => {
+      if (attribute.type === "Spread") {
+        runs.push([index], []);
+      } else {
+        runs[runs.length - 1].push(index);
+      }
+    });
+    return runs.filter((run) => run.length > 0);
   }
   /**
-   * Split the text into words separated by whitespace. Replace the whitespaces by lines,
-   * collapsing multiple whitespaces into a single line.
-   *
-   * If the text starts or ends with multiple newlines, those newlines should be "keepIfLonely"
-   * since we want double newlines in the output.
+   * The groups of `svelteAttributeOrder: "grouped"`, in order. Spreads are not moved.
    */
-  function splitTextToDocs(text) {
-    let docs = text.split(/[\t\n\f\r ]+/);
-    docs = join(line, docs).parts.filter((s) => s !== "");
-    // if the text starts with two newlines, the first doc is already a newline. make it "keepIfLonely"
-    if (text.match(/^([\t\f\r ]*\n){2}/)) {
-      docs[0] = keepIfLonelyLine;
+  const attributeGroups = [
+    (attribute) => attribute.type === "Binding" && attribute.name === "this",
+    (attribute) => attribute.type === "Binding",
+    // attributes, and the directives not grouped here like `let:` and `style:`
+    (attribute) =>
+      ![
+        "Spread",
+        "EventHandler",
+        "Action",
+        "Transition",
+        "Animation",
+        "Class",
+      ].includes(attribute.type),
+    (attribute) => attribute.type === "Spread",
+    (attribute) => attribute.type === "EventHandler",
+    (attribute) => attribute.type === "Action",
+    (attribute) =>
+      attribute.type === "Transition" || attribute.type === "Animation",
+    (attribute) => attribute.type === "Class",
+  ];
+  function getAttributeGroup(attribute) {
+    return attributeGroups.findIndex((isInGroup) => isInGroup(attribute));
+  }
+  function sortByAttributeGroup(run, attributes) {
+    return run
+      .slice()
+      .sort(
+        (a, b) =>
+          getAttributeGroup(attributes[a]) - getAttributeGroup(attributes[b]) ||
+          a - b
+      );
+  }
+  function groupClassDirectives(run, attributes) {
+    const classIndex = run.find(
+      (index) =>
+        attributes[index].type === "Attribute" &&
+        attributes[index].name === "class"
+    );
+    if (classIndex === undefined) {
+      return run;
     }
-    // if the text ends with two newlines, the last doc is already a newline. make it "keepIfLonely"
-    if (text.match(/(\n[\t\f\r ]*){2}$/)) {
-      docs[docs.length - 1] = keepIfLonelyLine;
+    const others = run.filter((index) => attributes[index].type !== "Class");
+    const position = others.indexOf(classIndex) + 1;
+    return others.slice(0, position).concat(
+      run.filter((index) => attributes[index].type === "Class"),
+      others.slice(position)
+    );
+  }
+  /**
+   * The order to print the attributes in, as indexes into `attributes`.
+   */
+  function getAttributeOrder(attributes, options) {
+    return flatten(
+      splitAtSpreads(attributes).map((run) => {
+        if (options.svelteAttributeOrder === "grouped") {
+          run = sortByAttributeGroup(run, attributes);
+        }
+        return options.svelteGroupClassDirectives
+          ? groupClassDirectives(run, attributes)
+          : run;
+      })
+    );
+  }
+  /**
+   * Splits the value of a `class` attribute into class names. A class name is a list
+   * of strings and the indexes of the mustache tags in it, like `["btn-", 1]` for
+   * `btn-{size}`. Only static class names (without mustache tags) may be sorted or
+   * removed as duplicates.
+   */
+  function splitClassNames(value) {
+    const classNames = [];
+    let current = null;
+    const append = (part) => {
+      if (!current) {
+        current = { parts: [], isStatic: true };
+        classNames.push(current);
+      }
+      current.parts.push(part);
+    };
+    value.forEach((child, index) => {
+      if (child.type !== "Text") {
+        append(index);
+        current.isStatic = false;
+        return;
+      }
+      child.raw.split(/(\s+)/).forEach((text) => {
+        if (/^\s+$/.test(text)) {
+          current = null;
+        } else if (text) {
+          append(text);
+        }
+      });
+    });
+    return classNames;
+  }
+  function getStaticClassName(className) {
+    return className.parts.join("");
+  }
+  /**
+   * Print the class names of a `class` attribute separated by single spaces (or line
+   * breaks), without duplicates, and sorted as `svelteSortClasses` says. The class
+   * names with mustache tags in them keep their order after the static ones.
+   */
+  function printClassNames(node, valueDocs, options) {
+    const seen = [];
+    let classNames = splitClassNames(node.value).filter((className) => {
+      if (!className.isStatic) {
+        return true;
+      }
+      const name = getStaticClassName(className);
+      if (seen.includes(name)) {
+        return false;
+      }
+      seen.push(name);
+      return true;
+    });
+    if (options.svelteSortClasses !== "none") {
+      classNames = sortClassNames(
+        classNames
+          .filter((className) => className.isStatic)
+          .map(getStaticClassName),
+        options.svelteSortClasses
+      )
+        .map((name) => ({ parts: [name], isStatic: true }))
+        .concat(classNames.filter((className) => !className.isStatic));
     }
-    return docs;
+    return fill(
+      join(
+        line,
+        classNames.map((className) =>
+          concat(
+            className.parts.map((part) =>
+              typeof part === "number" ? valueDocs[part] : part
+            )
+          )
+        )
+      ).parts
+    );
+  }
+  function sortClassNames(names, strategy) {
+    return strategy === "tailwind"
+      ? sortTailwindClassNames(names)
+      : names.slice().sort();
+  }
+  /**
+   * Tailwind CSS utilities in the order Tailwind generates them, which is the order its
+   * Prettier plugin sorts them in. An entry ending in `-` matches every class starting
+   * with it, other entries only the class itself; the longest match counts.
+   */
+  const tailwindUtilities = [
+    "container",
+    "sr-only",
+    "not-sr-only",
+    "pointer-events-",
+    "visible",
+    "invisible",
+    "collapse",
+    "static",
+    "fixed",
+    "absolute",
+    "relative",
+    "sticky",
+    "inset-",
+    "inset-x-",
+    "inset-y-",
+    "start-",
+    "end-",
+    "top-",
+    "right-",
+    "bottom-",
+    "left-",
+    "isolate",
+    "isolation-auto",
+    "z-",
+    "order-",
+    "col-",
+    "row-",
+    "float-",
+    "clear-",
+    "m-",
+    "mx-",
+    "my-",
+    "ms-",
+    "me-",
+    "mt-",
+    "mr-",
+    "mb-",
+    "ml-",
+    "box-border",
+    "box-content",
+    "line-clamp-",
+    "block",
+    "inline-block",
+    "inline",
+    "flex",
+    "inline-flex",
+    "table",
+    "inline-table",
+    "table-caption",
+    "table-cell",
+    "table-column",
+    "table-column-group",
+    "table-footer-group",
+    "table-header-group",
+    "table-row-group",
+    "table-row",
+    "flow-root",
+    "grid",
+    "inline-grid",
+    "contents",
+    "list-item",
+    "hidden",
+    "aspect-",
+    "size-",
+    "h-",
+    "max-h-",
+    "min-h-",
+    "w-",
+    "min-w-",
+    "max-w-",
+    "flex-1",
+    "flex-auto",
+    "flex-initial",
+    "flex-none",
+    "shrink",
+    "shrink-",
+    "grow",
+    "grow-",
+    "basis-",
+    "table-auto",
+    "table-fixed",
+    "caption-",
+    "border-collapse",
+    "border-separate",
+    "border-spacing-",
+    "origin-",
+    "translate-x-",
+    "translate-y-",
+    "rotate-",
+    "skew-x-",
+    "skew-y-",
+    "scale-",
+    "transform",
+    "transform-",
+    "animate-",
+    "cursor-",
+    "touch-",
+    "select-",
+    "resize",
+    "resize-",
+    "snap-",
+    "scroll-",
+    "list-",
+    "appearance-",
+    "columns-",
+    "break-before-",
+    "break-inside-",
+    "break-after-",
+    "auto-cols-",
+    "grid-flow-",
+    "auto-rows-",
+    "grid-cols-",
+    "grid-rows-",
+    "flex-row",
+    "flex-row-reverse",
+    "flex-col",
+    "flex-col-reverse",
+    "flex-wrap",
+    "flex-wrap-reverse",
+    "flex-nowrap",
+    "place-content-",
+    "place-items-",
+    "content-",
+    "items-",
+    "justify-",
+    "justify-items-",
+    "gap-",
+    "gap-x-",
+    "gap-y-",
+    "space-x-",
+    "space-y-",
+    "divide-",
+    "place-self-",
+    "self-",
+    "justify-self-",
+    "overflow-",
+    "overscroll-",
+    "truncate",
+    "text-ellipsis",
+    "text-clip",
+    "whitespace-",
+    "text-wrap",
+    "text-nowrap",
+    "text-balance",
+    "text-pretty",
+    "break-normal",
+    "break-words",
+    "break-all",
+    "break-keep",
+    "rounded",
+    "rounded-",
+    "border",
+    "border-0",
+    "border-2",
+    "border-4",
+    "border-8",
+    "border-x",
+    "border-x-",
+    "border-y",
+    "border-y-",
+    "border-s",
+    "border-s-",
+    "border-e",
+    "border-e-",
+    "border-t",
+    "border-t-",
+    "border-r",
+    "border-r-",
+    "border-b",
+    "border-b-",
+    "border-l",
+    "border-l-",
+    "border-solid",
+    "border-dashed",
+    "border-dotted",
+    "border-double",
+    "border-hidden",
+    "border-none",
+    "border-",
+    "bg-",
+    "bg-gradient-to-",
+    "bg-none",
+    "from-",
+    "via-",
+    "to-",
+    "bg-auto",
+    "bg-cover",
+    "bg-contain",
+    "bg-fixed",
+    "bg-local",
+    "bg-scroll",
+    "bg-clip-",
+    "bg-bottom",
+    "bg-center",
+    "bg-left",
+    "bg-left-bottom",
+    "bg-left-top",
+    "bg-right",
+    "bg-right-bottom",
+    "bg-right-top",
+    "bg-top",
+    "bg-repeat",
+    "bg-no-repeat",
+    "bg-repeat-x",
+    "bg-repeat-y",
+    "bg-repeat-round",
+    "bg-repeat-space",
+    "bg-origin-",
+    "fill-",
+    "stroke-",
+    "object-",
+    "p-",
+    "px-",
+    "py-",
+    "ps-",
+    "pe-",
+    "pt-",
+    "pr-",
+    "pb-",
+    "pl-",
+    "text-left",
+    "text-center",
+    "text-right",
+    "text-justify",
+    "text-start",
+    "text-end",
+    "indent-",
+    "align-",
+    "font-sans",
+    "font-serif",
+    "font-mono",
+    "text-xs",
+    "text-sm",
+    "text-base",
+    "text-lg",
+    "text-xl",
+    "text-2xl",
+    "text-3xl",
+    "text-4xl",
+    "text-5xl",
+    "text-6xl",
+    "text-7xl",
+    "text-8xl",
+    "text-9xl",
+    "font-thin",
+    "font-extralight",
+    "font-light",
+    "font-normal",
+    "font-medium",
+    "font-semibold",
+    "font-bold",
+    "font-extrabold",
+    "font-black",
+    "uppercase",
+    "lowercase",
+    "capitalize",
+    "normal-case",
+    "italic",
+    "not-italic",
+    "ordinal",
+    "slashed-zero",
+    "lining-nums",
+    "oldstyle-nums",
+    "proportional-nums",
+    "tabular-nums",
+    "diagonal-fractions",
+    "stacked-fractions",
+    "normal-nums",
+    "leading-",
+    "tracking-",
+    "text-",
+    "underline",
+    "overline",
+    "line-through",
+    "no-underline",
+    "decoration-",
+    "underline-offset-",
+    "antialiased",
+    "subpixel-antialiased",
+    "placeholder-",
+    "caret-",
+    "accent-",
+    "opacity-",
+    "bg-blend-",
+    "mix-blend-",
+    "shadow",
+    "shadow-",
+    "outline",
+    "outline-",
+    "ring",
+    "ring-",
+    "blur",
+    "blur-",
+    "brightness-",
+    "contrast-",
+    "drop-shadow",
+    "drop-shadow-",
+    "grayscale",
+    "grayscale-",
+    "hue-rotate-",
+    "invert",
+    "invert-",
+    "saturate-",
+    "sepia",
+    "sepia-",
+    "filter",
+    "filter-none",
+    "backdrop-",
+    "transition",
+    "transition-",
+    "delay-",
+    "duration-",
+    "ease-",
+    "will-change-",
+  ];
+  /**
+   * Tailwind's variants in the order its Prettier plugin sorts them in. Variants it does
+   * not know come last, like the variants of Tailwind plugins do.
+   */
+  const tailwindVariants = [
+    "first-letter",
+    "first-line",
+    "marker",
+    "selection",
+    "file",
+    "placeholder",
+    "backdrop",
+    "before",
+    "after",
+    "first",
+    "last",
+    "only",
+    "odd",
+    "even",
+    "first-of-type",
+    "last-of-type",
+    "only-of-type",
+    "visited",
+    "target",
+    "open",
+    "default",
+    "checked",
+    "indeterminate",
+    "placeholder-shown",
+    "autofill",
+    "optional",
+    "required",
+    "valid",
+    "invalid",
+    "in-range",
+    "out-of-range",
+    "read-only",
+    "empty",
+    "focus-within",
+    "hover",
+    "focus",
+    "focus-visible",
+    "active",
+    "enabled",
+    "disabled",
+    "group-",
+    "peer-",
+    "aria-",
+    "data-",
+    "ltr",
+    "rtl",
+    "motion-safe",
+    "motion-reduce",
+    "dark",
+    "print",
+    "sm",
+    "md",
+    "lg",
+    "xl",
+    "2xl",
+    "portrait",
+    "landscape",
+  ];
+  function findLongestMatch(patterns, name) {
+    let match = -1;
+    patterns.forEach((pattern, index) => {
+      if (
+        (pattern.endsWith("-") ? name.startsWith(pattern) : name === pattern) &&
+        (match < 0 || pattern.length > patterns[match].length)
+      ) {
+        match = index;
+      }
+    });
+    return match;
+  }
+  /**
+   * Splits a class like `md:hover:-mt-4` into its variants and utility, ignoring the
+   * colons inside arbitrary values like `[&:hover]`.
+   */
+  function splitTailwindClassName(name) {
+    const parts = [""];
+    let depth = 0;
+    for (const char of name) {
+      if (char === "[") {
+        depth++;
+      } else if (char === "]") {
+        depth--;
+      }
+      if (char === ":" && depth === 0) {
+        parts.push("");
+      } else {
+        parts[parts.length - 1] += char;
+      }
+    }
+    const utility = parts
+      .pop()
+      .replace(/^!?-?/, "")
+      .replace(/!$/, "")
+      .split("/")[0];
+    return { variants: parts, utility };
+  }
+  /**
+   * Classes Tailwind doesn't know come first, in their original order. The utilities
+   * follow, those with variants after those without.
+   */
+  function sortTailwindClassNames(names) {
+    const keys = names.map((name, index) => {
+      const { variants, utility } = splitTailwindClassName(name);
+      const weights = variants
+        .map((variant) => {
+          const match = findLongestMatch(tailwindVariants, variant);
+          return match < 0 ? tailwindVariants.length : match;
+        })
+        .sort((a, b) => b - a);
+      return {
+        name,
+        index,
+        weights,
+        utility: findLongestMatch(tailwindUtilities, utility),
+      };
+    });
+    const compareWeights = (a, b) => {
+      for (let i = 0; i < Math.min(a.length, b.length); i++) {
+        if (a[i] !== b[i]) {
+          return a[i] - b[i];
+        }
+      }
+      return a.length - b.length;
+    };
+    return keys
+      .sort(
+        (a, b) =>
+          (a.utility >= 0) - (b.utility >= 0) ||
+          (a.utility >= 0 && compareWeights(a.weights, b.weights)) ||
+          a.utility - b.utility ||
+          a.index - b.index
+      )
+      .map((key) => key.name);
+  }
+
+  /**
+   * Print the children of the node at `path` as a list of docs: a `line` if the content
+   * starts with whitespace, a `fill` with the children, and a `line` if it ends with
+   * whitespace. Text is split into words so it can be reflowed. Block children go on
+   * lines of their own, and line breaks between elements are kept. A line break is
+   * only added between inline children without whitespace between them where the
+   * whitespace sensitivity allows it.
+   */
+  function printChildren(path, print, options) {
+    const isPreformat = isPreTagContent(path);
+    const siblings = getChildren(path.getValue());
+    // the words and nodes to print, and the whitespace between them
+    const items = [];
+    // the `prettier-ignore-end` directive closing the range we are in, if any
+    let ignoreRangeEnd = null;
+    path.each((childPath) => {
+      const childNode = childPath.getValue();
+      if (ignoreRangeEnd) {
+        if (childNode === ignoreRangeEnd) {
+          ignoreRangeEnd = null;
+        }
+        return;
+      }
+      if (isEmbeddedTagIgnoreDirective(path.stack[0], childNode, options)) {
+        return;
+      }
+      if (isIgnoreStartDirective(childNode)) {
+        ignoreRangeEnd = siblings
+          .slice(siblings.indexOf(childNode) + 1)
+          .find(isIgnoreEndDirective);
+        if (ignoreRangeEnd) {
+          // everything up to and including the end directive is kept verbatim
+          items.push({
+            doc: concat([
+              childPath.call(print),
+              printRawText(
+                options.originalText.slice(
+                  options.locEnd(childNode),
+                  options.locEnd(ignoreRangeEnd)
+                )
+              ),
+            ]),
+            node: childNode,
+            isBlock: true,
+          });
+          return;
+        }
+      }
+      if (
+        childNode.type === "Text" &&
+        !isPreformat &&
+        !(
+          !isEmptyNode(childNode) &&
+          isIgnoreDirective(getPreviousNode(childPath))
+        )
+      ) {
+        const parts = (childNode.raw || childNode.data).split(/([\t\n\f\r ]+)/);
+        parts.forEach((part, index) => {
+          if (index % 2 === 1) {
+            items.push({
+              whitespace: part,
+              isInsideText: parts[index - 1] !== "" && parts[index + 1] !== "",
+            });
+          } else if (part) {
+            items.push({ doc: part, node: childNode, isBlock: false });
+          }
+        });
+        return;
+      }
+      items.push({
+        doc: childPath.call(print),
+        node: childNode,
+        isBlock: !isInlineNode(childNode, options),
+      });
+    }, "children");
+    if (isPreformat) {
+      return items.map((item) => item.doc);
+    }
+    const leadingLines = [];
+    const parts = [];
+    let previous = null;
+    let whitespace = null;
+    items.forEach((item) => {
+      if (item.whitespace != null) {
+        whitespace = whitespace
+          ? { whitespace: whitespace.whitespace + item.whitespace }
+          : item;
+        return;
+      }
+      const doc = item.isBlock ? concat([breakParent, item.doc]) : item.doc;
+      if (!previous) {
+        if (whitespace) {
+          leadingLines.push(line);
+        }
+        parts.push(doc);
+      } else {
+        const separator = printSeparator(previous, item, whitespace, options);
+        if (separator) {
+          parts.push(separator, doc);
+        } else {
+          parts.push(concat([parts.pop(), doc]));
+        }
+      }
+      previous = item;
+      whitespace = null;
+    });
+    const contents = items.filter((item) => item.whitespace == null);
+    if (
+      contents.length === 1 &&
+      !isTextLikeNode(contents[0].node) &&
+      isOnOwnLine(contents[0].node, options)
+    ) {
+      // an only child on lines of its own stays there
+      parts[0] = concat([breakParent, parts[0]]);
+    }
+    return [
+      ...leadingLines,
+      ...(parts.length > 0 ? [fill(parts)] : []),
+      ...(whitespace && previous ? [line] : []),
+    ];
+  }
+  /**
+   * True if there are line breaks both before and after `node` in the source. The
+   * compiler drops the whitespace at the start and end of blocks, so the text is used.
+   */
+  function isOnOwnLine(node, options) {
+    const text = options.originalText;
+    const hasLineBreak = (index, step) => {
+      for (; /\s/.test(text.charAt(index)); index += step) {
+        if (text[index] === "\n") {
+          return true;
+        }
+      }
+      return false;
+    };
+    return (
+      hasLineBreak(options.locStart(node) - 1, -1) &&
+      hasLineBreak(options.locEnd(node), 1)
+    );
+  }
+  /**
+   * The line between two children, or null if they must stay together.
+   */
+  function printSeparator(previous, next, whitespace, options) {
+    if (
+      whitespace &&
+      !whitespace.isInsideText &&
+      /\n[\t\f\r ]*\n/.test(whitespace.whitespace)
+    ) {
+      // keep empty lines, except inside of text
+      return concat([hardline, hardline]);
+    }
+    const items = [previous, next];
+    // the content of a block renders right next to the text it touches, and so does
+    // the text on the other side of a comment
+    const isTransparent = (item) =>
+      logicBlockTypes.includes(item.node.type) || item.node.type === "Comment";
+    if (
+      !whitespace &&
+      getWhitespaceSensitivity(options) !== "ignore" &&
+      items.some(isTransparent) &&
+      items.every((item) => !item.isBlock || isTransparent(item))
+    ) {
+      return null;
+    }
+    if (previous.isBlock || next.isBlock) {
+      return hardline;
+    }
+    if (whitespace) {
+      return whitespace.whitespace.includes("\n") &&
+        !(isTextLikeNode(previous.node) && isTextLikeNode(next.node))
+        ? hardline
+        : line;
+    }
+    return getWhitespaceSensitivity(options) === "ignore" &&
+      !(isTextLikeNode(previous.node) && isTextLikeNode(next.node))
+      ? softline
+      : null;
+  }
+  /**
+   * Print the nodes in `path` indented and with leading and trailing newlines.
+   */
+  function printIndentedWithNewlines(path, print, options) {
+    return indent(
+      concat([
+        softline,
+        ...trim(printChildren(path, print, options), isLine),
+        dedent(softline),
+      ])
+    );
+  }
+  /**
+   * Print the nodes in `path` indented but without adding any leading or trailing newlines.
+   */
+  function printIndentedPreservingWhitespace(path, print, options) {
+    return indent(
+      concat(dedentFinalNewline(printChildren(path, print, options)))
+    );
+  }
+  /**
+   * Split the text into words separated by whitespace. Replace the whitespaces by lines,
+   * collapsing multiple whitespaces into a single line.
+   */
+  function splitTextToDocs(text) {
+    const docs = text.split(/[\t\n\f\r ]+/);
+    return join(line, docs).parts.filter((s) => s !== "");
   }
   /**
    * If there is a trailing newline, pull it out and put it inside a `dedent`. This is used
@@ -1165,16 +2192,342 @@ var plugin = createCommonjsModule(function (module, exports) {
     }
   }
   /**
-   * Pull out any nested leading or trailing lines and put them at the top level.
+   * Plugins providing the parsers used for embedded code. They are added to the
+   * caller's plugins so that `textToDoc` can resolve them by name.
    */
-  function extractOutermostNewlines(docs) {
-    const leadingLines = trimLeft(docs, isLine) || [];
-    const trailingLines = trimRight(docs, isLine) || [];
-    return [
-      ...leadingLines,
-      ...(!isEmptyGroup(docs) ? [fill(docs)] : []),
-      ...trailingLines,
-    ];
+  const embeddedPlugins = [
+    parserBabel__default["default"],
+    parserTypescript__default["default"],
+    parserPostcss__default["default"],
+  ];
+  function getEmbeddedPlugins(options) {
+    return options.plugins.concat(
+      embeddedPlugins.filter((plugin) => !options.plugins.includes(plugin))
+    );
+  }
+  /**
+   * Expressions printed inside quotes (`attr="{...}"`, `class="a {b}"`) must not
+   * contain double quotes themselves.
+   */
+  function isInsideQuotedAttribute(path, options) {
+    if (options.svelteStrictMode) {
+      const parent = path.getParentNode();
+      if (
+        parent &&
+        ((parent.type === "InlineComponent" &&
+          path.getName() === "expression") ||
+          (parent.type === "Element" && path.getName() === "tag"))
+      ) {
+        return true;
+      }
+    }
+    return path.stack.some(
+      (node) =>
+        !!node &&
+        attributeNodeTypes.includes(node.type) &&
+        (options.svelteStrictMode ||
+          ((node.type === "Attribute" || node.type === "StyleDirective") &&
+            !isLoneMustacheTag(node.value)))
+    );
+  }
+  const attributeNodeTypes = [
+    "Attribute",
+    "EventHandler",
+    "Binding",
+    "Class",
+    "Let",
+    "Transition",
+    "Action",
+    "Animation",
+    "StyleDirective",
+  ];
+  /**
+   * Destructuring patterns are no expressions, so they are parsed as the parameter of
+   * an arrow function, with the positions moved back to the pattern text. Prettier
+   * only wraps the result of its own expression parsers in a `JsExpressionRoot`.
+   */
+  function patternParser(text, parsers, options) {
+    const ast = parsers.__js_expression(`(${text}\n) => 0`, parsers, options);
+    const root = {
+      type: "JsExpressionRoot",
+      node: ast.params[0],
+      comments: ast.comments,
+    };
+    shiftPositions(root, -1);
+    return root;
+  }
+  /**
+   * Prettier always breaks object patterns with nested patterns in them, unless they
+   * are function parameters, which the patterns of blocks resemble most.
+   */
+  function withoutForcedBreak(doc) {
+    if (doc.type === "group") {
+      return Object.assign({}, doc, { break: false });
+    }
+    if (doc.type === "concat") {
+      const index = doc.parts.findIndex((part) => typeof part !== "string");
+      if (index !== -1) {
+        const parts = doc.parts.slice();
+        parts[index] = withoutForcedBreak(parts[index]);
+        return Object.assign({}, doc, { parts });
+      }
+    }
+    return doc;
+  }
+  function embed(path, print, textToDoc, options$$1) {
+    const node = path.getValue();
+    if (node.isJS || node.isPattern) {
+      try {
+        const embeddedOptions = {
+          // Svelte reads markup expressions with acorn, also in TypeScript components
+          parser: node.isPattern ? patternParser : "__js_expression",
+          plugins: getEmbeddedPlugins(options$$1),
+        };
+        if (isInsideQuotedAttribute(path, options$$1)) {
+          embeddedOptions.singleQuote = true;
+        }
+        const expressionDoc = textToDoc(
+          getText(node, options$$1),
+          embeddedOptions
+        );
+        return node.isPattern
+          ? withoutForcedBreak(expressionDoc)
+          : expressionDoc;
+      } catch (e) {
+        // leave expressions we cannot parse untouched
+        return getText(node, options$$1);
+      }
+    }
+    switch (node.type) {
+      case "Attribute":
+        return isStyleAttribute(node) && path.getParentNode().type === "Element"
+          ? printStyleAttribute(path, print, textToDoc, options$$1)
+          : null;
+      case "Script":
+        return printEmbeddedTagOrKeepError(path, options$$1, () =>
+          printEmbeddedTag(
+            path,
+            print,
+            "script",
+            (content) =>
+              escapeClosingScriptTags(
+                formatBodyContent(
+                  content,
+                  isTypeScriptNode(node) ? "typescript" : "babel",
+                  textToDoc,
+                  options$$1
+                )
+              ),
+            options$$1
+          )
+        );
+      case "Style":
+        return printEmbeddedTagOrKeepError(path, options$$1, () =>
+          printEmbeddedTag(
+            path,
+            print,
+            "style",
+            (content) =>
+              formatBodyContent(
+                content,
+                getStyleParser(node),
+                textToDoc,
+                options$$1
+              ),
+            options$$1
+          )
+        );
+    }
+    return null;
+  }
+  /**
+   * Prettier discards errors thrown by `embed` and prints the node with `print`
+   * instead, so the error is kept on the node for `print` to throw.
+   */
+  function printEmbeddedTagOrKeepError(path, options, printTag) {
+    const node = path.getValue();
+    try {
+      return printTag();
+    } catch (error) {
+      node.bodyError = createEmbeddedContentError(error, node, options);
+      return null;
+    }
+  }
+  /**
+   * Turns an error of the parser of a `<script>` or `<style>` tag, positioned in its
+   * content, into one positioned in the file.
+   */
+  function createEmbeddedContentError(error, node, options) {
+    const start = error && error.loc && error.loc.start;
+    if (!start) {
+      return normalizeError(error, options.originalText);
+    }
+    const lines = getEmbeddedContent(node, options).split("\n");
+    const offset =
+      node.content.start +
+      lines
+        .slice(0, start.line - 1)
+        .reduce((length, line) => length + line.length + 1, 0) +
+      start.column -
+      1;
+    // Prettier adds the position and a code frame of the content to the message
+    const message = error.message.split("\n")[0].replace(/ \(\d+:\d+\)$/, "");
+    return new SvelteFormatError(message, {
+      text: options.originalText,
+      start: offset,
+      nodeType: node.type,
+      cause: error,
+    });
+  }
+  function escapeDoubleQuotes(text) {
+    return text.replace(/"/g, "&quot;");
+  }
+  function isStyleAttribute(node) {
+    return (
+      node.type === "Attribute" &&
+      node.name.toLowerCase() === "style" &&
+      Array.isArray(node.value) &&
+      node.value.some((child) => child.type === "Text" && child.data.trim())
+    );
+  }
+  const styleMustachePlaceholder = "svelte-mustache-";
+  /**
+   * Print a `style` attribute with its value formatted as a list of CSS declarations.
+   * Mustache tags are replaced by placeholders for postcss and put back afterwards.
+   * The declarations go on separate lines when the attributes of the element do.
+   */
+  function printStyleAttribute(path, print, textToDoc, options) {
+    const node = path.getValue();
+    const valueDocs = path.map(print, "value");
+    const mustacheDocs = [];
+    const css = node.value
+      .map((child, index) => {
+        if (child.type === "Text") {
+          return child.raw;
+        }
+        mustacheDocs.push(valueDocs[index]);
+        return styleMustachePlaceholder + (mustacheDocs.length - 1);
+      })
+      .join("");
+    let cssDoc;
+    try {
+      // the value is inside double quotes
+      cssDoc = textToDoc(css, {
+        parser: "css",
+        singleQuote: true,
+        plugins: getEmbeddedPlugins(options),
+        __isHTMLStyleAttribute: true,
+      });
+    } catch (error) {
+      // leave styles we cannot parse untouched
+      return null;
+    }
+    const usedPlaceholders = [];
+    const valueDoc = doc__default["default"].utils.mapDoc(cssDoc, (part) => {
+      if (typeof part !== "string") {
+        return part;
+      }
+      // strings that need double quotes even with `singleQuote` would end the value
+      part = escapeDoubleQuotes(part);
+      if (!part.includes(styleMustachePlaceholder)) {
+        return part;
+      }
+      return concat(
+        part
+          .split(new RegExp(styleMustachePlaceholder + "(\\d+)"))
+          .map((text, index) => {
+            if (index % 2 === 0) {
+              return text;
+            }
+            usedPlaceholders.push(text);
+            return mustacheDocs[text] || "";
+          })
+      );
+    });
+    if (
+      usedPlaceholders.length !== mustacheDocs.length ||
+      new Set(usedPlaceholders).size !== mustacheDocs.length
+    ) {
+      // postcss moved or merged a placeholder
+      return null;
+    }
+    return concat([
+      line,
+      node.name,
+      '="',
+      indent(concat([softline, valueDoc])),
+      softline,
+      '"',
+    ]);
+  }
+  /**
+   * Prettier drops the backslash of `<\/script>` in strings, but inside a `<script>` tag
+   * that text would close it.
+   */
+  function escapeClosingScriptTags(bodyDoc) {
+    return doc__default["default"].utils.mapDoc(bodyDoc, (part) =>
+      typeof part === "string"
+        ? part.split("</script").join("<\\/script")
+        : part
+    );
+  }
+  /**
+   * Format the content of a `<script>` or `<style>` tag with the given parser,
+   * indenting it if `svelteIndentScriptAndStyle` is set.
+   */
+  function formatBodyContent(content, parser, textToDoc, options) {
+    if (!content.trim()) {
+      return "";
+    }
+    const body = textToDoc(
+      content,
+      { parser, plugins: getEmbeddedPlugins(options) },
+      { stripTrailingHardline: true }
+    );
+    const bodyWithNewline = concat([hardline, body]);
+    return concat([
+      options.svelteIndentScriptAndStyle
+        ? indent(bodyWithNewline)
+        : bodyWithNewline,
+      hardline,
+    ]);
+  }
+  /**
+   * Print a top-level `<script>` or `<style>` tag with its original attributes.
+   * Languages we cannot format (e.g. `sass`) keep their content untouched.
+   */
+  function printEmbeddedTag(path, print, tagName, formatBody, options) {
+    const node = path.getValue();
+    const root = path.getParentNode();
+    const content = getEmbeddedContent(node, options);
+    const ignoreDirective = getChildren(root.html).find(
+      (child) =>
+        isIgnoreDirective(child) &&
+        getFollowingEmbeddedTag(root, child, options) === node
+    );
+    const body =
+      isNodeSupportedLanguage(node) && !ignoreDirective
+        ? formatBody(content)
+        : printRawText(content);
+    const attributes = path.map(print, "attributes");
+    return concat([
+      ignoreDirective
+        ? concat(["<!--", ignoreDirective.data, "-->", hardline])
+        : "",
+      group(
+        concat([
+          "<",
+          tagName,
+          indent(group(concat(attributes))),
+          ">",
+          body,
+          "</",
+          tagName,
+          ">",
+        ])
+      ),
+      hardline,
+    ]);
   }
   function printJS(path, print, name) {
     if (!name) {
@@ -1184,41 +2537,723 @@ var plugin = createCommonjsModule(function (module, exports) {
     path.getValue()[name].isJS = true;
     return path.call(print, name);
   }
-  function expandNode(node) {
-    if (node === null) {
+  /**
+   * Print the pattern of `{#each}`, `{:then}` or `{:catch}` through the embed hook,
+   * preceded by a space. `{:then}` and `{:catch}` may have none.
+   */
+  function printPattern(path, print, name) {
+    const pattern = path.getValue()[name];
+    if (!pattern) {
       return "";
     }
-    if (typeof node === "string") {
-      // pre-v3.20 AST
-      return " " + node;
+    pattern.isPattern = true;
+    return concat([" ", path.call(print, name)]);
+  }
+  /**
+   * Returns the first string the doc prints.
+   */
+  function getFirstString(doc) {
+    if (typeof doc === "string") {
+      return doc;
     }
-    switch (node.type) {
-      case "ArrayPattern":
-        return " [" + node.elements.map(expandNode).join(",").slice(1) + "]";
-      case "AssignmentPattern":
-        return expandNode(node.left) + " =" + expandNode(node.right);
-      case "Identifier":
-        return " " + node.name;
-      case "Literal":
-        return " " + node.raw;
-      case "ObjectPattern":
-        return " {" + node.properties.map(expandNode).join(",") + " }";
-      case "Property":
-        if (node.value.type === "ObjectPattern") {
-          return " " + node.key.name + ":" + expandNode(node.value);
-        } else if (
-          node.value.type === "Identifier" &&
-          node.key.name !== node.value.name
-        ) {
-          return expandNode(node.key) + ":" + expandNode(node.value);
-        } else {
-          return expandNode(node.value);
+    const parts = doc.parts || (doc.contents ? [doc.contents] : []);
+    for (const part of parts) {
+      const text = getFirstString(part);
+      if (text) {
+        return text;
+      }
+    }
+    return "";
+  }
+
+  /**
+   * The one error type thrown by the plugin. `line` and `column` are 1-based and `loc`
+   * has the shape Prettier expects from parser errors. Errors without a known position
+   * have neither.
+   */
+  class SvelteFormatError extends Error {
+    constructor(message, { text, start, end, nodeType = null, cause } = {}) {
+      const loc =
+        text != null && start != null
+          ? {
+              start: getLineAndColumn(text, start),
+              end: getLineAndColumn(text, end == null ? start : end),
+            }
+          : undefined;
+      super(
+        loc ? `${message} (${loc.start.line}:${loc.start.column})` : message
+      );
+      this.name = "SvelteFormatError";
+      this.loc = loc;
+      this.line = loc ? loc.start.line : null;
+      this.column = loc ? loc.start.column : null;
+      this.nodeType = nodeType;
+      this.codeFrame = loc ? createCodeFrame(text, loc.start, loc.end) : "";
+      this.cause = cause;
+    }
+  }
+  function createParseError(error, text, message = error.message) {
+    // Svelte uses start and end directly on the error, as offsets in older versions
+    const offsetOf = (position) =>
+      position != null && typeof position === "object"
+        ? position.character
+        : position;
+    const start = error.pos != null ? error.pos : offsetOf(error.start);
+    return new SvelteFormatError(message, {
+      text,
+      start,
+      end: error.end != null ? offsetOf(error.end) : start,
+      cause: error,
+    });
+  }
+  function createUnknownNodeError(node, options) {
+    return new SvelteFormatError("unknown node type: " + node.type, {
+      text: options.originalText,
+      start: node.start,
+      end: node.end,
+      nodeType: node.type,
+    });
+  }
+  /**
+   * Turns whatever was thrown while formatting `text` into a `SvelteFormatError`.
+   */
+  function normalizeError(error, text) {
+    if (typeof error === "string") {
+      // Prettier throws the stack of parser errors that have no location
+      return new SvelteFormatError(error.split("\n")[0]);
+    }
+    if (!(error instanceof SvelteFormatError)) {
+      return error && error.name === "ParseError"
+        ? createParseError(error, text)
+        : new SvelteFormatError(String(error && error.message), {
+            cause: error,
+          });
+    }
+    if (error.loc && text != null) {
+      // Prettier adds its own code frame to the message of parser errors with a `loc`
+      error.message = error.message.split("\n")[0];
+      error.codeFrame = createCodeFrame(text, error.loc.start, error.loc.end);
+    }
+    return error;
+  }
+  function getLineAndColumn(text, offset) {
+    const lines = text.slice(0, offset).split("\n");
+    return { line: lines.length, column: lines[lines.length - 1].length + 1 };
+  }
+  /**
+   * Shows the lines around `start` and `end`, marking the error lines with `>` and
+   * underlining the error on its first line.
+   */
+  function createCodeFrame(text, start, end) {
+    const lines = text.split("\n");
+    const firstLine = Math.max(start.line - 2, 1);
+    const lastLine = Math.min(end.line + 3, lines.length);
+    const gutterWidth = String(lastLine).length;
+    const frame = [];
+    for (let line = firstLine; line <= lastLine; line++) {
+      const isErrorLine = line >= start.line && line <= end.line;
+      const source = lines[line - 1];
+      frame.push(
+        `${isErrorLine ? ">" : " "} ${String(line).padStart(
+          gutterWidth
+        )} | ${source}`
+      );
+      if (line === start.line) {
+        const markerLength =
+          end.line === start.line ? Math.max(end.column - start.column, 1) : 1;
+        frame.push(
+          `  ${" ".repeat(gutterWidth)} | ${source
+            .slice(0, start.column - 1)
+            .replace(/[^\t]/g, " ")}${"^".repeat(markerLength)}`
+        );
+      }
+    }
+    return frame.join("\n");
+  }
+  /**
+   * Like `prettier.formatWithCursor`, but with `rangeStart`/`rangeEnd` and `cursorOffset`
+   * working for the svelte parser. Ranges are widened to whole top-level `<script>` or
+   * `<style>` blocks or template nodes; everything outside of them is kept as is.
+   */
+  function formatWithCursor(text, options) {
+    if (options.parser !== "svelte") {
+      return formatWithCursorStandalone(text, options);
+    }
+    try {
+      const result = formatSvelteWithCursor(text, options);
+      if (options.svelteVerify) {
+        verifyFormatting(text, result.formatted, options);
+      }
+      return result;
+    } catch (error) {
+      throw normalizeError(error, text);
+    }
+  }
+  function formatSvelteWithCursor(text, options) {
+    const cursorOffset =
+      options.cursorOffset == null ? -1 : options.cursorOffset;
+    const rangeStart = Math.max(options.rangeStart || 0, 0);
+    const rangeEnd = Math.min(
+      options.rangeEnd == null ? Infinity : options.rangeEnd,
+      text.length
+    );
+    const fullOptions = Object.assign({}, options, {
+      rangeStart: 0,
+      rangeEnd: Infinity,
+    });
+    delete fullOptions.svelteVerify;
+    let start = 0;
+    let end = text.length;
+    if (rangeStart > 0 || rangeEnd < text.length) {
+      const range = getFormattableRange(text, rangeStart, rangeEnd);
+      if (!range) {
+        return { formatted: text, cursorOffset };
+      }
+      ({ start, end } = range);
+    }
+    const isCursorInside = cursorOffset >= start && cursorOffset <= end;
+    const result = formatRange(
+      text,
+      start,
+      end,
+      Object.assign(fullOptions, {
+        cursorOffset: isCursorInside ? cursorOffset - start : -1,
+      })
+    );
+    let newCursorOffset = -1;
+    if (cursorOffset < 0) {
+      newCursorOffset = -1;
+    } else if (cursorOffset < start) {
+      newCursorOffset = cursorOffset;
+    } else if (cursorOffset > end) {
+      newCursorOffset = cursorOffset + result.formatted.length - (end - start);
+    } else if (result.cursorOffset >= 0) {
+      newCursorOffset = start + result.cursorOffset;
+    }
+    return {
+      formatted: text.slice(0, start) + result.formatted + text.slice(end),
+      cursorOffset: newCursorOffset,
+    };
+  }
+  function format(text, options) {
+    return formatWithCursor(text, options).formatted;
+  }
+  /**
+   * Parses `text` for `svelteVerify`. Style content is never compared, script content
+   * only when the compiler can parse it.
+   */
+  function parseForVerification(text) {
+    const { ast } = parseSvelte(text);
+    if (ast.css) {
+      ast.css = Object.assign({}, ast.css, { children: [], content: null });
+    }
+    return ast;
+  }
+  /**
+   * Checks that `formatted` parses to the same AST as `text` and, unless only a range
+   * was formatted, that formatting it again does not change it.
+   */
+  function verifyFormatting(text, formatted, options) {
+    const inputAst = parseForVerification(text);
+    let outputAst;
+    try {
+      outputAst = parseForVerification(formatted);
+    } catch (error) {
+      throw createParseError(
+        error,
+        formatted,
+        "Formatted output does not parse: " + error.message
+      );
+    }
+    const input = { sources: new WeakMap(), comments: [], options };
+    const output = { sources: new WeakMap(), comments: [], options };
+    const difference = findAstDifference(
+      normalizeForVerification(
+        withoutEmbeddedTagIgnoreDirectives(inputAst, text),
+        input,
+        false
+      ),
+      normalizeForVerification(
+        withoutEmbeddedTagIgnoreDirectives(outputAst, formatted),
+        output,
+        false
+      ),
+      "ast",
+      input.sources,
+      inputAst
+    );
+    if (difference) {
+      const { node } = difference;
+      throw new SvelteFormatError(
+        `Formatting changed the AST at ${
+          difference.path
+        }: expected ${describeAstValue(
+          difference.expected
+        )}, got ${describeAstValue(difference.actual)}`,
+        { text, start: node.start, end: node.end, nodeType: node.type || null }
+      );
+    }
+    const outputCommentValues = output.comments.map((comment) => comment.value);
+    const lostComment = input.comments.find(
+      (comment) => !outputCommentValues.includes(comment.value)
+    );
+    if (lostComment) {
+      throw new SvelteFormatError("Formatting lost a comment", {
+        text,
+        start: lostComment.start,
+        end: lostComment.end,
+        nodeType: lostComment.type,
+      });
+    }
+    const isRange =
+      (options.rangeStart || 0) > 0 ||
+      (options.rangeEnd != null && options.rangeEnd < text.length);
+    if (isRange) {
+      return;
+    }
+    const reformatted = formatSvelteWithCursor(
+      formatted,
+      Object.assign({}, options, { cursorOffset: -1 })
+    ).formatted;
+    if (reformatted !== formatted) {
+      let offset = 0;
+      while (formatted[offset] === reformatted[offset]) {
+        offset++;
+      }
+      throw new SvelteFormatError(
+        "Formatting is not stable: formatting the output again changes it",
+        { text: formatted, start: offset }
+      );
+    }
+  }
+  /**
+   * Ignore directives in front of `<script>` and `<style>` move along with them when
+   * they are sorted, so they are left out of the comparison.
+   */
+  function withoutEmbeddedTagIgnoreDirectives(ast, text) {
+    const options = {
+      originalText: text,
+      locStart: (node) => node.start,
+      locEnd: (node) => node.end,
+    };
+    const children = ast.html.children.filter(
+      (node) => !isEmbeddedTagIgnoreDirective(ast, node, options)
+    );
+    return Object.assign({}, ast, {
+      html: Object.assign({}, ast.html, { children }),
+    });
+  }
+  const ignoredVerificationKeys = [
+    "start",
+    "end",
+    "loc",
+    "range",
+    "raw",
+    "leadingComments",
+    "trailingComments",
+    // `{:else if}` and `{#await then}` shorthands are printed based on the content
+    "elseif",
+    "skip",
+    // style content is blanked
+    "styles",
+  ];
+  /**
+   * Drops positions and whitespace the printer may change, collapses whitespace in text
+   * that is formatted and expands shorthands, so that only meaningful changes remain.
+   * Comments attached to expressions are collected in `context.comments` instead of
+   * compared in place, and `context.sources` maps each result to its node.
+   */
+  function normalizeForVerification(value, context, isPreserved) {
+    if (Array.isArray(value)) {
+      return value.map((child) =>
+        normalizeForVerification(child, context, isPreserved)
+      );
+    }
+    if (!value || typeof value !== "object") {
+      return value;
+    }
+    context.comments.push(
+      ...(value.leadingComments || []),
+      ...(value.trailingComments || [])
+    );
+    const node = expandShorthandForVerification(value);
+    const preserveChildren =
+      isPreserved ||
+      isPreformattedElement(node) ||
+      (node.type === "Attribute" &&
+        !formattableAttributes.includes(node.name)) ||
+      node.type === "StyleDirective";
+    const normalized = {};
+    Object.keys(node)
+      .filter((key) => !ignoredVerificationKeys.includes(key))
+      .forEach((key) => {
+        normalized[key] =
+          node.type === "Text" && key === "data" && !isPreserved
+            ? node.data.replace(/[\t\n\f\r ]+/g, " ")
+            : key === "value" && isStyleAttribute(node)
+            ? normalizeStyleForVerification(node.value, context)
+            : key === "value" && isClassAttribute(node)
+            ? normalizeClassForVerification(node.value, context)
+            : key === "children" &&
+              Array.isArray(node.children) &&
+              !preserveChildren
+            ? normalizeChildrenForVerification(node, context)
+            : normalizeForVerification(
+                key === "attributes" && Array.isArray(node.attributes)
+                  ? orderAttributesForVerification(
+                      node.attributes,
+                      context.options
+                    )
+                  : node[key],
+                context,
+                preserveChildren
+              );
+      });
+    context.sources.set(normalized, value);
+    return normalized;
+  }
+  /**
+   * Whitespace is compared only where it renders, and then only whether there is any.
+   * Where that is is decided from the tag names as browsers do, not with the printer's
+   * own rules, so that mistakes in those are caught.
+   */
+  function normalizeChildrenForVerification(parent, context) {
+    const sensitivity = getWhitespaceSensitivity(context.options);
+    const isSignificant = (before, after) =>
+      // nothing in the head of the document renders
+      parent.type !== "Head" &&
+      (before && after
+        ? rendersInline(before, sensitivity) &&
+          rendersInline(after, sensitivity)
+        : hasSignificantEdges(parent, sensitivity) &&
+          (!(before || after) || rendersInline(before || after, sensitivity)));
+    const children = [];
+    let before = null;
+    parent.children.forEach((child, index) => {
+      const after =
+        parent.children.slice(index + 1).find((node) => !isEmptyNode(node)) ||
+        null;
+      if (isEmptyNode(child)) {
+        if (isSignificant(before, after)) {
+          children.push({ type: "Text", data: " " });
         }
-      case "RestElement":
-        return " ..." + node.argument.name;
+        return;
+      }
+      const normalized = normalizeForVerification(child, context, false);
+      if (child.type === "Text") {
+        if (!isSignificant(before, child)) {
+          normalized.data = normalized.data.replace(/^ /, "");
+        }
+        if (!isSignificant(child, after)) {
+          normalized.data = normalized.data.replace(/ $/, "");
+        }
+      }
+      children.push(normalized);
+      before = child;
+    });
+    return children;
+  }
+  /**
+   * Nodes rendering nothing in place of themselves, so that whitespace next to them
+   * only matters as far as their other neighbours make it.
+   */
+  const nonRenderingNodeTypes = [
+    "Head",
+    "Options",
+    "Window",
+    "Body",
+    "Document",
+    "ConstTag",
+    "DebugTag",
+  ];
+  /**
+   * True if whitespace next to the node renders. Text and whatever a component or a
+   * logic block may render are taken to be inline; with `ignore` only text is.
+   */
+  function rendersInline(node, sensitivity) {
+    if (isTextLikeNode(node)) {
+      return true;
+    }
+    if (sensitivity === "ignore" || nonRenderingNodeTypes.includes(node.type)) {
+      return false;
+    }
+    if (node.type === "Element") {
+      const name = node.name.toLowerCase();
+      return (
+        !["script", "style"].includes(name) &&
+        (sensitivity === "strict" || inlineElements.includes(name))
+      );
+    }
+    return true;
+  }
+  /**
+   * True if whitespace at the start and end of the content of `parent` renders. The
+   * compiler drops it in logic blocks, and inline-block elements start new lines.
+   */
+  function hasSignificantEdges(parent, sensitivity) {
+    if (sensitivity === "ignore") {
+      return false;
+    }
+    if (parent.type === "Element") {
+      const name = parent.name.toLowerCase();
+      return sensitivity === "strict"
+        ? !["script", "style"].includes(name)
+        : inlineElements.includes(name) && !inlineBlockElements.includes(name);
+    }
+    return ["InlineComponent", "Slot", "SlotTemplate"].includes(parent.type);
+  }
+  /**
+   * Like the content of `<style>` tags, the declarations of style attributes are not
+   * compared, only the mustache tags in them.
+   */
+  function normalizeStyleForVerification(value, context) {
+    return normalizeForVerification(
+      value.filter((child) => child.type !== "Text"),
+      context,
+      true
+    );
+  }
+  function isClassAttribute(node) {
+    return (
+      node.type === "Attribute" &&
+      node.name === "class" &&
+      Array.isArray(node.value) &&
+      !isLoneMustacheTag(node.value)
+    );
+  }
+  /**
+   * Class names may be sorted and duplicates removed, so the static ones are compared
+   * as a sorted set and the ones with mustache tags in their order.
+   */
+  function normalizeClassForVerification(value, context) {
+    const classNames = splitClassNames(value);
+    const staticNames = classNames
+      .filter((className) => className.isStatic)
+      .map(getStaticClassName)
+      .filter((name, index, names) => names.indexOf(name) === index)
+      .sort();
+    return classNames
+      .filter((className) => !className.isStatic)
+      .map((className) =>
+        className.parts.map((part) =>
+          typeof part === "number"
+            ? normalizeForVerification(value[part], context, true)
+            : part
+        )
+      )
+      .concat(staticNames);
+  }
+  /**
+   * Where `svelteAttributeOrder` or `svelteGroupClassDirectives` let the printer move
+   * attributes, they may be moved between the groups, but only within the runs between
+   * spreads. Otherwise they must keep their order.
+   */
+  function orderAttributesForVerification(attributes, options) {
+    if (
+      options.svelteAttributeOrder !== "grouped" &&
+      !options.svelteGroupClassDirectives
+    ) {
+      return attributes;
+    }
+    return flatten(
+      splitAtSpreads(attributes).map((run) =>
+        sortByAttributeGroup(run, attributes)
+      )
+    ).map((index) => attributes[index]);
+  }
+  function expandShorthandForVerification(node) {
+    const identifier = (name) => ({ type: "Identifier", name });
+    const mustache = (name) => [
+      { type: "MustacheTag", expression: identifier(name) },
+    ];
+    if (node.type === "AttributeShorthand") {
+      return { type: "MustacheTag", expression: node.expression };
+    }
+    if (node.type === "Let" && !node.expression) {
+      return Object.assign({}, node, { expression: identifier(node.name) });
+    }
+    if (node.type === "StyleDirective" && node.value === true) {
+      return Object.assign({}, node, { value: mustache(node.name) });
+    }
+    return node;
+  }
+  function findAstDifference(expected, actual, path, sources, node) {
+    if (sources.has(expected)) {
+      node = sources.get(expected);
+    }
+    if (expected === actual) {
+      return null;
+    }
+    if (
+      !expected ||
+      !actual ||
+      typeof expected !== "object" ||
+      typeof actual !== "object" ||
+      Array.isArray(expected) !== Array.isArray(actual)
+    ) {
+      return { path, node, expected, actual };
+    }
+    const keys = Array.isArray(expected)
+      ? Array.from(
+          { length: Math.max(expected.length, actual.length) },
+          (_, index) => index
+        )
+      : Object.keys(expected).concat(
+          Object.keys(actual).filter((key) => !(key in expected))
+        );
+    for (const key of keys) {
+      const difference = findAstDifference(
+        expected[key],
+        actual[key],
+        Array.isArray(expected) ? `${path}[${key}]` : `${path}.${key}`,
+        sources,
+        node
+      );
+      if (difference) {
+        return difference;
+      }
+    }
+    return null;
+  }
+  function describeAstValue(value) {
+    if (value === undefined) {
+      return "nothing";
+    }
+    if (Array.isArray(value)) {
+      return `${value.length} node${value.length === 1 ? "" : "s"}`;
+    }
+    if (value && typeof value === "object") {
+      return value.type || "an object";
+    }
+    return JSON.stringify(value);
+  }
+  /**
+   * Finds the nodes overlapping the range, descending into the children of a single
+   * overlapping node where that is safe, and returns the span covering them.
+   */
+  function getFormattableRange(text, rangeStart, rangeEnd) {
+    const { ast } = parseSvelte(text);
+    const overlaps = (node) =>
+      !isEmptyNode(node) &&
+      (rangeStart === rangeEnd
+        ? node.start <= rangeStart && rangeStart <= node.end
+        : node.start < rangeEnd && node.end > rangeStart);
+    let nodes = [ast.module, ast.instance, ast.css]
+      .filter(Boolean)
+      .concat(ast.html.children);
+    for (;;) {
+      const overlapping = nodes.filter(overlaps);
+      if (!overlapping.length) {
+        return null;
+      }
+      const children = getChildren(overlapping[0]).filter(
+        (child) => !isEmptyNode(child)
+      );
+      if (
+        overlapping.length === 1 &&
+        canFormatChildrenSeparately(overlapping[0]) &&
+        children.length &&
+        rangeStart >= children[0].start &&
+        rangeEnd <= children[children.length - 1].end &&
+        children.filter(overlaps).every((child) => !isTextNode(child))
+      ) {
+        nodes = children;
+      } else {
+        return {
+          start: overlapping[0].start,
+          end: overlapping[overlapping.length - 1].end,
+        };
+      }
+    }
+  }
+  /**
+   * Children whose formatting depends on their parent (preformatted text, embedded
+   * languages) must be formatted together with it.
+   */
+  function canFormatChildrenSeparately(node) {
+    if (node.type === "Element") {
+      return (
+        !isPreformattedElement(node) &&
+        !(node.name === "template" && !isNodeSupportedLanguage(node))
+      );
     }
-    console.error(JSON.stringify(node, null, 4));
-    throw new Error("unknown node type: " + node.type);
+    return node.type !== "Script" && node.type !== "Style";
+  }
+  /**
+   * Formats `text.slice(start, end)` on its own and indents it like the line it starts on.
+   * The whole text is formatted as is. Prettier maps `cursorOffset`, relative to
+   * `start`, by diffing the text of the smallest node around it, see `printers`.
+   */
+  function formatRange(text, start, end, options) {
+    if (start === 0 && end === text.length) {
+      return formatWithCursorStandalone(text, options);
+    }
+    const { printWidth = 80, tabWidth = 2 } = options;
+    const lineStart = text.lastIndexOf("\n", start - 1) + 1;
+    const indentation = text.slice(lineStart, start).match(/^[\t ]*/)[0];
+    const alignment = indentation
+      .split("")
+      .reduce((size, ch) => size + (ch === "\t" ? tabWidth : 1), 0);
+    const result = formatWithCursorStandalone(
+      text.slice(start, end),
+      Object.assign({}, options, {
+        printWidth: Math.max(printWidth - alignment, 0),
+      })
+    );
+    const lines = result.formatted.replace(/\n+$/, "").split("\n");
+    const indent = (line, i) =>
+      i === 0 || line === "" ? line : indentation + line;
+    let { cursorOffset } = result;
+    if (cursorOffset >= 0) {
+      // move the cursor along with the indentation added in front of it
+      const cursorLine = result.formatted.slice(0, cursorOffset).split("\n")
+        .length;
+      cursorOffset += lines
+        .slice(0, cursorLine)
+        .reduce(
+          (added, line, i) => added + indent(line, i).length - line.length,
+          0
+        );
+      cursorOffset = Math.min(
+        cursorOffset,
+        lines.map(indent).join("\n").length
+      );
+    }
+    return { formatted: lines.map(indent).join("\n"), cursorOffset };
+  }
+  /**
+   * Prettier maps the cursor by diffing the old and the new text of the smallest node
+   * around it that it finds through these. Only nodes printed by `print` qualify: text
+   * is printed by `printChildren` word by word, and the nodes inside expressions and
+   * `<script>` or `<style>` tags (those from acorn have a `loc`) by `embed`. The
+   * branches of blocks are printed without their `{:else}`, `{:then}` or `{:catch}`.
+   */
+  const cursorlessNodeTypes = [
+    "Text",
+    "ElseBlock",
+    "PendingBlock",
+    "ThenBlock",
+    "CatchBlock",
+  ];
+  function canAttachComment(node) {
+    return (
+      !!node &&
+      typeof node.type === "string" &&
+      !cursorlessNodeTypes.includes(node.type)
+    );
+  }
+  function getCommentChildNodes(node) {
+    if (isASTNode(node)) {
+      return [node.module, node.instance, node.css, node.html].filter(Boolean);
+    }
+    if (node.type === "Script" || node.type === "Style" || node.loc) {
+      return [];
+    }
+    return flatten(
+      Object.keys(node).map((key) =>
+        Array.isArray(node[key]) ? node[key] : [node[key]]
+      )
+    ).filter((child) => child && typeof child === "object");
   }
 
   function locStart(node) {
@@ -1238,26 +3273,22 @@ var plugin = createCommonjsModule(function (module, exports) {
     svelte: {
       parse: (text) => {
         try {
-          return Object.assign({}, compiler__default["default"].parse(text), {
+          const { ast } = parseSvelte(text);
+          [ast.module, ast.instance].forEach((script) => {
+            if (script) {
+              script.attributes = getScriptAttributes(script, text);
+            }
+          });
+          return Object.assign({}, ast, {
             __isRoot: true,
+            // Prettier maps the cursor relative to the root if there is no closer node
+            start: 0,
+            end: text.length,
           });
         } catch (err) {
-          if (err.start != null && err.end != null) {
-            // Prettier expects error objects to have loc.start and loc.end fields.
-            // Svelte uses start and end directly on the error.
-            err.loc = {
-              start: err.start,
-              end: err.end,
-            };
-          }
-          throw err;
+          throw createParseError(err, text);
         }
       },
-      preprocess: (text) => {
-        text = snipTagContent("style", text);
-        text = snipTagContent("script", text, "");
-        return text.trim();
-      },
       locStart,
       locEnd,
       astFormat: "svelte-ast",
@@ -1266,6 +3297,9 @@ var plugin = createCommonjsModule(function (module, exports) {
   const printers = {
     "svelte-ast": {
       print,
+      embed,
+      canAttachComment,
+      getCommentChildNodes,
     },
   };
 
@@ -1274,6 +3308,8 @@ var plugin = createCommonjsModule(function (module, exports) {
   exports.printers = printers;
   exports.options = options;
   exports.format = format;
+  exports.formatWithCursor = formatWithCursor;
+  exports.SvelteFormatError = SvelteFormatError;
 });
 
 var plugin$1 = unwrapExports(plugin);
@@ -1282,9 +3318,13 @@ var plugin_2 = plugin.parsers;
 var plugin_3 = plugin.printers;
 var plugin_4 = plugin.options;
 var plugin_5 = plugin.format;
+var plugin_6 = plugin.formatWithCursor;
+var plugin_7 = plugin.SvelteFormatError;
 
 exports.default = plugin$1;
 exports.format = plugin_5;
+exports.formatWithCursor = plugin_6;
+exports.SvelteFormatError = plugin_7;
 exports.languages = plugin_1;
 exports.options = plugin_4;
 exports.parsers = plugin_2;
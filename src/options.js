@@ -0,0 +1,74 @@
+import prettier from "prettier/standalone";
+import sveltePlugin from "./newPlugin.js";
+
+const coreOptionNames = [
+  "printWidth",
+  "tabWidth",
+  "useTabs",
+  "singleQuote",
+  "semi",
+  "htmlWhitespaceSensitivity",
+];
+const storageKey = "options";
+
+/**
+ * The options shown in the settings panel: a few of Prettier's own and all of the
+ * plugin's, described the way `getSupportInfo` describes them.
+ */
+export const optionSchema = (() => {
+  const supported = prettier.getSupportInfo({ plugins: [sveltePlugin] })
+    .options;
+  return coreOptionNames
+    .concat(Object.keys(sveltePlugin.options))
+    .map((name) => supported.find((option) => option.name === name))
+    .filter(Boolean);
+})();
+
+export function getDefaultOptions() {
+  const defaults = {};
+  optionSchema.forEach((option) => {
+    defaults[option.name] = option.default;
+  });
+  return defaults;
+}
+
+function isValidValue(option, value) {
+  switch (option.type) {
+    case "boolean":
+      return typeof value === "boolean";
+    case "int":
+      return Number.isInteger(value) && value >= option.range.start;
+    case "choice":
+      return option.choices.some((choice) => choice.value === value);
+    default:
+      return false;
+  }
+}
+
+/**
+ * Takes the valid values of the panel's options from `values`, using the defaults for
+ * any that are missing or no longer valid.
+ */
+export function normalizeOptions(values) {
+  const options = getDefaultOptions();
+  optionSchema
+    .filter((option) => isValidValue(option, values[option.name]))
+    .forEach((option) => {
+      options[option.name] = values[option.name];
+    });
+  return options;
+}
+
+export function loadOptions() {
+  let stored = {};
+  try {
+    stored = JSON.parse(localStorage.getItem(storageKey)) || {};
+  } catch (error) {
+    // ignore unreadable settings
+  }
+  return normalizeOptions(stored);
+}
+
+export function saveOptions(options) {
+  localStorage.setItem(storageKey, JSON.stringify(options));
+}
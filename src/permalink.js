@@ -0,0 +1,77 @@
+import LZString from "lz-string";
+import prettier from "prettier/standalone";
+import { VERSION as svelteVersion } from "svelte/compiler";
+import { version } from "../package.json";
+import { getDefaultOptions, normalizeOptions } from "./options.js";
+
+/**
+ * Links to the demo with `code` and the options that differ from their defaults
+ * compressed into the hash.
+ */
+export function createPermalink(code, options) {
+  const defaults = getDefaultOptions();
+  const changed = {};
+  Object.keys(defaults)
+    .filter((name) => options[name] !== defaults[name])
+    .forEach((name) => {
+      changed[name] = options[name];
+    });
+  const hash = LZString.compressToEncodedURIComponent(
+    JSON.stringify({ code, options: changed })
+  );
+  return `${location.origin}${location.pathname}#${hash}`;
+}
+
+/**
+ * Reads `{ code, options }` from a hash made by `createPermalink`, or returns null if
+ * there is none.
+ */
+export function readPermalink(hash) {
+  const json = LZString.decompressFromEncodedURIComponent(
+    hash.replace(/^#/, "")
+  );
+  let data;
+  try {
+    data = JSON.parse(json);
+  } catch (error) {
+    return null;
+  }
+  if (!data || typeof data.code !== "string") {
+    return null;
+  }
+  return { code: data.code, options: normalizeOptions(data.options || {}) };
+}
+
+function codeBlock(language, code) {
+  // the fence has to be longer than any run of backticks in the code
+  const longest = (code.match(/`+/g) || []).reduce(
+    (max, run) => Math.max(max, run.length),
+    2
+  );
+  const fence = "`".repeat(longest + 1);
+  return `${fence}${language}\n${code.replace(/\n$/, "")}\n${fence}`;
+}
+
+/**
+ * Describes a formatting result in markdown, ready to be pasted into an issue.
+ * `result` is either `{ formatted }` or `{ error }`.
+ */
+export function createBugReport({ code, options, result, link }) {
+  const output = result.error
+    ? codeBlock(
+        "",
+        result.error.message +
+          (result.error.codeFrame ? "\n" + result.error.codeFrame : "")
+      )
+    : codeBlock("svelte", result.formatted);
+  return [
+    "**Input**",
+    codeBlock("svelte", code),
+    "**Options**",
+    codeBlock("json", JSON.stringify(options, null, 2)),
+    result.error ? "**Error**" : "**Output**",
+    output,
+    `Plugin ${version}, Prettier ${prettier.version}, Svelte ${svelteVersion}`,
+    `[Open in the demo](${link})`,
+  ].join("\n\n");
+}
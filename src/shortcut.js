@@ -0,0 +1,35 @@
+export const defaultShortcut = "Shift+Alt+F";
+
+const modifiers = {
+  shift: "shiftKey",
+  alt: "altKey",
+  ctrl: "ctrlKey",
+  control: "ctrlKey",
+  meta: "metaKey",
+  cmd: "metaKey",
+};
+
+/**
+ * True if the keydown event is the shortcut, written like `Shift+Alt+F` or `Ctrl+S`.
+ * Letters are also matched by their key code, as Alt changes `event.key` on macOS.
+ */
+export function matchesShortcut(event, shortcut) {
+  const keys = shortcut
+    .split("+")
+    .map((key) => key.trim().toLowerCase())
+    .filter(Boolean);
+  const key = keys.pop();
+  if (!key) {
+    return false;
+  }
+  const isModifierPressed = (property) =>
+    keys.some((name) => modifiers[name] === property);
+  const modifiersMatch = ["shiftKey", "altKey", "ctrlKey", "metaKey"].every(
+    (property) => event[property] === isModifierPressed(property)
+  );
+  return (
+    modifiersMatch &&
+    (event.key.toLowerCase() === key ||
+      (/^[a-z]$/.test(key) && event.code === "Key" + key.toUpperCase()))
+  );
+}
@@ -0,0 +1,112 @@
+const storageKey = "snippets";
+// where the code was kept before there were snippets
+const legacyStorageKey = "code";
+const fileVersion = 1;
+
+export function createSnippet(snippets, name, code = "") {
+  const id =
+    snippets.reduce((max, snippet) => Math.max(max, snippet.id), 0) + 1;
+  return { id, name, code };
+}
+
+/**
+ * Reads the stored snippets as `{ snippets, activeId }`. There is always at least one
+ * snippet, and `activeId` is always one of them.
+ */
+export function loadSnippets() {
+  let stored = null;
+  try {
+    stored = JSON.parse(localStorage.getItem(storageKey));
+  } catch (error) {
+    // start over with unreadable snippets
+  }
+  let snippets =
+    stored && Array.isArray(stored.snippets) ? stored.snippets : [];
+  snippets = snippets.filter(isSnippet);
+  if (snippets.length === 0) {
+    snippets = [
+      createSnippet(
+        [],
+        "Untitled",
+        localStorage.getItem(legacyStorageKey) || ""
+      ),
+    ];
+  }
+  const activeId =
+    stored && snippets.some((snippet) => snippet.id === stored.activeId)
+      ? stored.activeId
+      : snippets[0].id;
+  return { snippets, activeId };
+}
+
+export function saveSnippets(library) {
+  localStorage.setItem(storageKey, JSON.stringify(library));
+}
+
+function isSnippet(snippet) {
+  return (
+    snippet != null &&
+    Number.isInteger(snippet.id) &&
+    typeof snippet.name === "string" &&
+    typeof snippet.code === "string"
+  );
+}
+
+export function serializeSnippets(snippets) {
+  return JSON.stringify(
+    {
+      version: fileVersion,
+      snippets: snippets.map(({ name, code }) => ({ name, code })),
+    },
+    null,
+    2
+  );
+}
+
+/**
+ * Reads the `{ name, code }` pairs from a file written by `serializeSnippets`.
+ */
+export function parseSnippets(text) {
+  let file;
+  try {
+    file = JSON.parse(text);
+  } catch (error) {
+    throw new Error("The file is not valid JSON");
+  }
+  const snippets = file && file.snippets;
+  if (
+    !Array.isArray(snippets) ||
+    !snippets.every(
+      (snippet) =>
+        snippet != null &&
+        typeof snippet.name === "string" &&
+        typeof snippet.code === "string"
+    )
+  ) {
+    throw new Error("The file does not contain any snippets");
+  }
+  return snippets.map(({ name, code }) => ({ name, code }));
+}
+
+/**
+ * Delays calls to `fn` until `wait` ms passed without another call. `flush` makes the
+ * pending call right away.
+ */
+export function debounce(fn, wait) {
+  let timer = null;
+  let lastArgs;
+  function flush() {
+    if (timer !== null) {
+      clearTimeout(timer);
+      timer = null;
+      fn(...lastArgs);
+    }
+  }
+  function debounced(...args) {
+    lastArgs = args;
+    clearTimeout(timer);
+    timer = setTimeout(flush, wait);
+  }
+  debounced.flush = flush;
+  return debounced;
+}
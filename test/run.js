@@ -0,0 +1,152 @@
+/**
+ * Formats every `input.svelte` under `test/fixtures` with the options from the
+ * `options.json` next to it and compares the result with `output.svelte`. Fixtures
+ * with an `error.txt` instead must fail to format, with the message and code frame
+ * of the error in it.
+ *
+ * As in Prettier's own tests, `<|>` in the input marks the `cursorOffset`, which is
+ * marked the same way in the output, and `<<<PRETTIER_RANGE_START>>>` and
+ * `<<<PRETTIER_RANGE_END>>>` mark `rangeStart` and `rangeEnd`.
+ *
+ *   node test/run.js [--update] [filter]
+ *
+ * `--update` writes the current output instead of comparing, and `filter` only
+ * runs the fixtures whose path contains it.
+ */
+const fs = require("fs");
+const path = require("path");
+const { createTwoFilesPatch } = require("diff");
+const plugin = require("../src/newPlugin.js");
+
+const fixturesDir = path.join(__dirname, "fixtures");
+const args = process.argv.slice(2);
+const update = args.includes("--update");
+const filter = args.find((arg) => !arg.startsWith("--"));
+
+function findFixtures(dir) {
+  if (fs.existsSync(path.join(dir, "input.svelte"))) {
+    return [dir];
+  }
+  return fs
+    .readdirSync(dir, { withFileTypes: true })
+    .filter((entry) => entry.isDirectory())
+    .map((entry) => entry.name)
+    .sort()
+    .reduce(
+      (fixtures, name) => fixtures.concat(findFixtures(path.join(dir, name))),
+      []
+    );
+}
+
+function readOptions(dir) {
+  const file = path.join(dir, "options.json");
+  return fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, "utf8")) : {};
+}
+
+const cursorMarker = "<|>";
+const markers = {
+  cursorOffset: cursorMarker,
+  rangeStart: "<<<PRETTIER_RANGE_START>>>",
+  rangeEnd: "<<<PRETTIER_RANGE_END>>>",
+};
+
+/**
+ * Removes the markers from `input`, returning the text and the options they stand for.
+ */
+function extractMarkers(input) {
+  let text = input;
+  const options = {};
+  for (;;) {
+    const found = Object.keys(markers)
+      .map((name) => ({ name, index: text.indexOf(markers[name]) }))
+      .filter(({ index }) => index !== -1)
+      .sort((a, b) => a.index - b.index)[0];
+    if (!found) {
+      return { text, options };
+    }
+    options[found.name] = found.index;
+    text =
+      text.slice(0, found.index) +
+      text.slice(found.index + markers[found.name].length);
+  }
+}
+
+function formatFixture(dir) {
+  const input = fs.readFileSync(path.join(dir, "input.svelte"), "utf8");
+  const { text, options } = extractMarkers(input);
+  // every fixture also checks that the output means the same and is stable
+  const { formatted, cursorOffset } = plugin.formatWithCursor(
+    text,
+    Object.assign(
+      { parser: "svelte", plugins: [plugin], svelteVerify: true },
+      readOptions(dir),
+      options
+    )
+  );
+  return options.cursorOffset == null
+    ? formatted
+    : formatted.slice(0, cursorOffset) +
+        cursorMarker +
+        formatted.slice(cursorOffset);
+}
+
+let passed = 0;
+let failed = 0;
+let updated = 0;
+for (const dir of findFixtures(fixturesDir)) {
+  const name = path.relative(fixturesDir, dir).split(path.sep).join("/");
+  if (filter && !name.includes(filter)) {
+    continue;
+  }
+  const errorFile = path.join(dir, "error.txt");
+  const expectsError = fs.existsSync(errorFile);
+  const outputFile = expectsError ? errorFile : path.join(dir, "output.svelte");
+  let actual;
+  try {
+    actual = formatFixture(dir);
+  } catch (error) {
+    if (!expectsError) {
+      failed++;
+      console.log(`✗ ${name}\n  ${error.message}`);
+      if (error.codeFrame) {
+        console.log(error.codeFrame);
+      }
+      continue;
+    }
+    actual = `${error.name}: ${error.message}\n${error.codeFrame}\n`;
+  }
+  const expected = fs.existsSync(outputFile)
+    ? fs.readFileSync(outputFile, "utf8")
+    : null;
+  if (actual === expected) {
+    passed++;
+    console.log(`✓ ${name}`);
+  } else if (update) {
+    updated++;
+    fs.writeFileSync(outputFile, actual);
+    console.log(`✎ ${name}`);
+  } else if (expected === null) {
+    failed++;
+    console.log(`✗ ${name}\n  output.svelte is missing, run with --update`);
+  } else {
+    failed++;
+    console.log(`✗ ${name}`);
+    console.log(
+      createTwoFilesPatch(
+        path.basename(outputFile),
+        "actual",
+        expected,
+        actual,
+        "",
+        "",
+        { context: 2 }
+      )
+    );
+  }
+}
+
+console.log(
+  `\n${passed} passed, ${failed} failed` +
+    (update ? `, ${updated} updated` : "")
+);
+process.exitCode = failed > 0 ? 1 : 0;
@@ -0,0 +1,43 @@
+/**
+ * Module hooks loading the app's modules the way rollup bundles them: files in `src`
+ * with `import` or `export` statements are ES modules, JSON files are imported
+ * without an import attribute and with their top-level keys as named exports, and
+ * files in packages may be imported without their extension.
+ */
+import { readFile } from "node:fs/promises";
+
+const srcUrl = new URL("../../src/", import.meta.url).href;
+
+export async function resolve(specifier, context, nextResolve) {
+  try {
+    return await nextResolve(specifier, context);
+  } catch (error) {
+    if (error.code !== "ERR_MODULE_NOT_FOUND" || /\.\w+$/.test(specifier)) {
+      throw error;
+    }
+    return nextResolve(specifier + ".js", context);
+  }
+}
+
+export async function load(url, context, nextLoad) {
+  if (url.endsWith(".json")) {
+    const data = JSON.parse(await readFile(new URL(url), "utf8"));
+    const namedExports = Object.keys(data)
+      .filter((key) => /^[A-Za-z_$][\w$]*$/.test(key))
+      .map((key) => `export const ${key} = data[${JSON.stringify(key)}];`);
+    return {
+      format: "module",
+      source: [`const data = ${JSON.stringify(data)};`, "export default data;"]
+        .concat(namedExports)
+        .join("\n"),
+      shortCircuit: true,
+    };
+  }
+  if (url.startsWith(srcUrl) && url.endsWith(".js")) {
+    const source = await readFile(new URL(url), "utf8");
+    if (/^(import|export)\b/m.test(source)) {
+      return { format: "module", source, shortCircuit: true };
+    }
+  }
+  return nextLoad(url, context);
+}
@@ -0,0 +1,93 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { spawnSync } = require("child_process");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const bin = path.join(__dirname, "../../bin/svelte-prettier.js");
+const formatted = '<p class="a">{a}</p>\n';
+const unformatted = '<p   class="a">{ a }</p>\n';
+const broken = "<p>{a +}</p>\n";
+
+/**
+ * Writes `files` to a new directory and runs the CLI in it with `args`, reading the
+ * files back afterwards.
+ */
+function run(files, args) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "svelte-prettier-"));
+  fs.writeFileSync(path.join(dir, ".prettierrc"), "{}\n");
+  for (const [name, text] of Object.entries(files)) {
+    fs.writeFileSync(path.join(dir, name), text);
+  }
+  const result = spawnSync(process.execPath, [bin, ...args], {
+    cwd: dir,
+    encoding: "utf8",
+  });
+  const output = {};
+  for (const name of Object.keys(files)) {
+    output[name] = fs.readFileSync(path.join(dir, name), "utf8");
+  }
+  fs.rmSync(dir, { recursive: true });
+  return Object.assign(result, { read: (name) => output[name] });
+}
+
+test("formats files in place and exits with 0", () => {
+  const result = run({ "a.svelte": unformatted }, ["a.svelte"]);
+  assert.strictEqual(result.status, 0);
+  assert.strictEqual(result.stdout, "a.svelte\n");
+  assert.strictEqual(result.read("a.svelte"), formatted);
+});
+
+test("--check exits with 0 if all files are formatted", () => {
+  const result = run({ "a.svelte": formatted }, ["--check", "*.svelte"]);
+  assert.strictEqual(result.status, 0);
+  assert.match(result.stdout, /All matched files use Prettier code style!/);
+});
+
+test("--check exits with 1 for unformatted files and leaves them", () => {
+  const result = run({ "a.svelte": formatted, "b.svelte": unformatted }, [
+    "--check",
+    "*.svelte",
+  ]);
+  assert.strictEqual(result.status, 1);
+  assert.match(result.stdout, /\[warn\] b\.svelte/);
+  assert.doesNotMatch(result.stdout, /a\.svelte/);
+  assert.doesNotMatch(result.stdout, /All matched files/);
+  assert.strictEqual(result.read("b.svelte"), unformatted);
+});
+
+test("--list-different lists only the unformatted files", () => {
+  const result = run({ "a.svelte": formatted, "b.svelte": unformatted }, [
+    "--list-different",
+    "*.svelte",
+  ]);
+  assert.strictEqual(result.status, 1);
+  assert.strictEqual(result.stdout, "b.svelte\n");
+  assert.strictEqual(result.read("b.svelte"), unformatted);
+});
+
+test("--list-different prints nothing and exits with 0 if all files are formatted", () => {
+  const result = run({ "a.svelte": formatted }, ["-l", "a.svelte"]);
+  assert.strictEqual(result.status, 0);
+  assert.strictEqual(result.stdout, "");
+});
+
+test("exits with 2 for files that cannot be formatted", () => {
+  const result = run({ "a.svelte": formatted, "b.svelte": broken }, [
+    "--check",
+    "*.svelte",
+  ]);
+  assert.strictEqual(result.status, 2);
+  assert.doesNotMatch(result.stdout, /All matched files/);
+  assert.match(
+    result.stderr,
+    /\[error\] b\.svelte: Unexpected token \(1:8\)\n/
+  );
+  assert.strictEqual(result.stderr.split("> 1 | <p>{a +}</p>").length, 2);
+});
+
+test("exits with 2 for unknown options and patterns without files", () => {
+  assert.strictEqual(run({}, ["--nope", "a.svelte"]).status, 2);
+  assert.strictEqual(run({}, ["missing.svelte"]).status, 2);
+});
@@ -0,0 +1,137 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const importApp = require("./importApp.js");
+
+let applyHunks, getRows, getSegments, getSummary;
+
+const lines = (count, prefix) =>
+  Array.from({ length: count }, (_, i) => `${prefix} ${i + 1}\n`).join("");
+
+// three hunks far enough apart to fold the lines between them: a changed line, an
+// added line and a removed line at the end without a newline
+const original = `<p>{ a }</p>\n${lines(10, "same")}${lines(
+  10,
+  "more"
+)}<b>x</b>`;
+const formatted = `<p>{a}</p>\n${lines(10, "same")}<hr />\n${lines(
+  10,
+  "more"
+)}`;
+
+let segments;
+let hunkIds;
+
+test.before(async () => {
+  ({ applyHunks, getRows, getSegments, getSummary } = await importApp(
+    "diffHunks.js"
+  ));
+  segments = getSegments(original, formatted);
+  hunkIds = segments
+    .filter((segment) => segment.type === "change")
+    .map((segment) => segment.id);
+});
+
+test("splits the diff into unchanged text and hunks", () => {
+  assert.strictEqual(hunkIds.length, 3);
+  assert.deepStrictEqual(
+    segments.map((segment) => segment.type),
+    ["change", "same", "change", "same", "change"]
+  );
+  assert.deepStrictEqual(getSummary(segments), {
+    hunks: 3,
+    added: 2,
+    removed: 2,
+  });
+});
+
+test("accepting every hunk gives the formatted text", () => {
+  assert.strictEqual(applyHunks(segments, hunkIds), formatted);
+});
+
+test("accepting no hunk gives the original text", () => {
+  assert.strictEqual(applyHunks(segments, []), original);
+});
+
+test("accepting some hunks only applies those", () => {
+  assert.strictEqual(
+    applyHunks(segments, [hunkIds[0], hunkIds[2]]),
+    `<p>{a}</p>\n${lines(10, "same")}${lines(10, "more")}`
+  );
+  assert.strictEqual(
+    applyHunks(segments, [hunkIds[1]]),
+    `<p>{ a }</p>\n${lines(10, "same")}<hr />\n${lines(10, "more")}<b>x</b>`
+  );
+});
+
+test("identical texts have no hunks", () => {
+  const same = getSegments(original, original);
+  assert.deepStrictEqual(same, [{ type: "same", value: original }]);
+  assert.strictEqual(applyHunks(same, []), original);
+  assert.ok(getRows(same).every((row) => !row.hunk));
+});
+
+test("lays out the hunks side by side with the changed characters marked", () => {
+  const rows = getRows(segments);
+  assert.deepStrictEqual(rows[0], {
+    hunk: hunkIds[0],
+    isFirst: true,
+    left: {
+      number: 1,
+      parts: [
+        { value: "<p>{", changed: false },
+        { value: " ", changed: true },
+        { value: "a", changed: false },
+        { value: " ", changed: true },
+        { value: "}</p>", changed: false },
+      ],
+    },
+    right: {
+      number: 1,
+      parts: [
+        { value: "<p>{", changed: false },
+        { value: "a", changed: false },
+        { value: "}</p>", changed: false },
+      ],
+    },
+  });
+  const added = rows.find((row) => row.hunk === hunkIds[1]);
+  assert.strictEqual(added.left, null);
+  assert.deepStrictEqual(added.right, {
+    number: 12,
+    parts: [{ value: "<hr />", changed: true }],
+  });
+  const removed = rows[rows.length - 1];
+  assert.strictEqual(removed.hunk, hunkIds[2]);
+  assert.deepStrictEqual(removed.left, {
+    number: 22,
+    parts: [{ value: "<b>x</b>", changed: true }],
+  });
+  assert.strictEqual(removed.right, null);
+});
+
+test("folds unchanged lines away from the hunks", () => {
+  const rows = getRows(segments);
+  const folded = rows.filter((row) => row.folded).map((row) => row.folded);
+  // 10 lines between the first two hunks and 10 between the last two, less the
+  // context on both sides of each
+  assert.deepStrictEqual(folded, [4, 4]);
+  const numbers = rows
+    .filter((row) => !row.folded && row.left)
+    .map((row) => row.left.number);
+  assert.deepStrictEqual(numbers, [
+    1,
+    2,
+    3,
+    4,
+    9,
+    10,
+    11,
+    12,
+    13,
+    14,
+    19,
+    20,
+    21,
+    22,
+  ]);
+});
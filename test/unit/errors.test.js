@@ -0,0 +1,30 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const plugin = require("../../src/newPlugin.js");
+
+function formatError(text) {
+  try {
+    plugin.format(text, { parser: "svelte", plugins: [plugin] });
+  } catch (error) {
+    return error;
+  }
+  assert.fail("formatted without an error");
+}
+
+for (const [kind, text, loc] of [
+  ["markup", "<p>{a +}</p>\n", { line: 1, column: 8 }],
+  ["unclosed element", "<div>\n", { line: 1, column: 1 }],
+  ["script", "<script>\n  let a = ;\n</script>\n", { line: 2, column: 11 }],
+]) {
+  test(`${kind} errors keep the code frame out of the message`, () => {
+    const error = formatError(text);
+    assert.strictEqual(error.name, "SvelteFormatError");
+    assert.ok(!error.message.includes("\n"), error.message);
+    assert.ok(error.message.endsWith(` (${loc.line}:${loc.column})`));
+    assert.strictEqual(error.line, loc.line);
+    assert.strictEqual(error.column, loc.column);
+    assert.deepStrictEqual(error.loc.start, loc);
+    assert.ok(error.codeFrame.includes(`> ${loc.line} | `), error.codeFrame);
+    assert.ok(!error.codeFrame.includes("\u001b["), "frame has no colors");
+  });
+}
@@ -0,0 +1,75 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const importApp = require("./importApp.js");
+
+// Node has no `Worker`, so these run the inline fallback
+let createFormatter, FormatCancelledError;
+
+test.before(async () => {
+  ({ createFormatter, FormatCancelledError } = await importApp(
+    "formatClient.js"
+  ));
+});
+
+const options = { parser: "svelte" };
+
+test("formats with the svelte plugin", async () => {
+  const formatter = createFormatter();
+  const result = await formatter.format("<p   class='a'>{ a }</p>", options);
+  assert.deepStrictEqual(result, {
+    formatted: '<p class="a">{a}</p>\n',
+    cursorOffset: -1,
+  });
+  formatter.destroy();
+});
+
+test("rejects with the plugin's errors", async () => {
+  const formatter = createFormatter();
+  await assert.rejects(formatter.format("<p>{a +}</p>", options), {
+    name: "SvelteFormatError",
+    message: "Unexpected token (1:8)",
+  });
+  formatter.destroy();
+});
+
+test("a new request cancels the pending one", async () => {
+  const formatter = createFormatter();
+  const first = formatter.format("<p>first</p>", options);
+  const second = formatter.format("<p>second</p>", options);
+  await assert.rejects(first, FormatCancelledError);
+  assert.strictEqual((await second).formatted, "<p>second</p>\n");
+  formatter.destroy();
+});
+
+test("cancel rejects the pending request", async () => {
+  const formatter = createFormatter();
+  const request = formatter.format("<p>a</p>", options);
+  formatter.cancel();
+  await assert.rejects(request, FormatCancelledError);
+  // cancelling without a pending request does nothing
+  formatter.cancel();
+  formatter.destroy();
+});
+
+test("rejects requests that take longer than the timeout", async () => {
+  const formatter = createFormatter({ timeout: 0 });
+  await assert.rejects(formatter.format("<p>a</p>", options), {
+    message: "Formatting timed out after 0ms",
+  });
+  formatter.destroy();
+});
+
+test("formatters do not cancel each other's requests", async () => {
+  const formatter = createFormatter();
+  const other = createFormatter();
+  const results = await Promise.all([
+    formatter.format("<p>a</p>", options),
+    other.format("<p>b</p>", options),
+  ]);
+  assert.deepStrictEqual(
+    results.map((result) => result.formatted),
+    ["<p>a</p>\n", "<p>b</p>\n"]
+  );
+  formatter.destroy();
+  other.destroy();
+});
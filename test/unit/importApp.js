@@ -0,0 +1,15 @@
+const { register } = require("node:module");
+const path = require("path");
+const { pathToFileURL } = require("url");
+
+register("./appLoader.mjs", pathToFileURL(__filename));
+
+/**
+ * Imports the ES module `name` from `src`, with its imports resolved as rollup
+ * resolves them for the app.
+ */
+function importApp(name) {
+  return import(pathToFileURL(path.join(__dirname, "../../src", name)).href);
+}
+
+module.exports = importApp;
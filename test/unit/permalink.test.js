@@ -0,0 +1,94 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const importApp = require("./importApp.js");
+
+let createBugReport, createPermalink, readPermalink, getDefaultOptions;
+
+test.before(async () => {
+  ({ createBugReport, createPermalink, readPermalink } = await importApp(
+    "permalink.js"
+  ));
+  ({ getDefaultOptions } = await importApp("options.js"));
+  global.location = { origin: "https://example.com", pathname: "/demo/" };
+});
+
+test.after(() => {
+  delete global.location;
+});
+
+const code = "<p>{a}</p>\n";
+
+test("permalinks keep the code and the options", () => {
+  const options = Object.assign(getDefaultOptions(), {
+    printWidth: 100,
+    svelteStrictMode: true,
+  });
+  const link = createPermalink(code, options);
+  assert.ok(link.startsWith("https://example.com/demo/#"), link);
+  assert.deepStrictEqual(readPermalink(link.slice(link.indexOf("#"))), {
+    code,
+    options,
+  });
+});
+
+test("only the options that differ from the defaults go into the link", () => {
+  const withDefaults = createPermalink(code, getDefaultOptions());
+  const withChange = createPermalink(
+    code,
+    Object.assign(getDefaultOptions(), { printWidth: 100 })
+  );
+  assert.ok(withChange.length > withDefaults.length);
+});
+
+test("invalid options in a link fall back to their defaults", () => {
+  const link = createPermalink(code, { printWidth: "wide", useTabs: 1 });
+  assert.deepStrictEqual(readPermalink(link.slice(link.indexOf("#"))), {
+    code,
+    options: getDefaultOptions(),
+  });
+});
+
+test("hashes without code are no permalinks", () => {
+  assert.strictEqual(readPermalink(""), null);
+  assert.strictEqual(readPermalink("#not-compressed"), null);
+  const link = createPermalink(undefined, {});
+  assert.strictEqual(readPermalink(link.slice(link.indexOf("#"))), null);
+});
+
+test("bug reports fence the code with more backticks than it contains", () => {
+  const markdown = "<p>{`a ``` b`}</p>\n";
+  const report = createBugReport({
+    code: markdown,
+    options: { printWidth: 80 },
+    result: { formatted: markdown },
+    link: "https://example.com/demo/#x",
+  });
+  assert.ok(report.startsWith("**Input**\n\n````svelte\n" + markdown + "````"));
+  assert.ok(report.includes("**Output**\n\n````svelte\n" + markdown + "````"));
+  assert.ok(report.includes('```json\n{\n  "printWidth": 80\n}\n```'));
+  assert.match(
+    report,
+    /Plugin \d+\.\d+\.\d+, Prettier 2\.\d+\.\d+, Svelte 3\./
+  );
+  assert.ok(report.endsWith("[Open in the demo](https://example.com/demo/#x)"));
+});
+
+test("bug reports show the error with its code frame", () => {
+  const report = createBugReport({
+    code: "<p>{a +}</p>",
+    options: {},
+    result: {
+      error: {
+        message: "Unexpected token (1:8)",
+        codeFrame: "> 1 | <p>{a +}</p>",
+      },
+    },
+    link: "",
+  });
+  assert.ok(
+    report.includes(
+      "**Error**\n\n```\nUnexpected token (1:8)\n> 1 | <p>{a +}</p>\n```"
+    ),
+    report
+  );
+});
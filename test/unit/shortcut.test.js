@@ -0,0 +1,52 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const importApp = require("./importApp.js");
+
+let defaultShortcut, matchesShortcut;
+
+test.before(async () => {
+  ({ defaultShortcut, matchesShortcut } = await importApp("shortcut.js"));
+});
+
+/**
+ * A keydown event for `key` with the modifiers in `pressed`.
+ */
+function keydown(key, pressed = [], code = undefined) {
+  return {
+    key,
+    code,
+    shiftKey: pressed.includes("shift"),
+    altKey: pressed.includes("alt"),
+    ctrlKey: pressed.includes("ctrl"),
+    metaKey: pressed.includes("meta"),
+  };
+}
+
+test("matches the key with exactly the modifiers of the shortcut", () => {
+  assert.ok(matchesShortcut(keydown("F", ["shift", "alt"]), defaultShortcut));
+  assert.ok(!matchesShortcut(keydown("F", ["shift"]), defaultShortcut));
+  assert.ok(
+    !matchesShortcut(keydown("F", ["shift", "alt", "ctrl"]), defaultShortcut)
+  );
+  assert.ok(!matchesShortcut(keydown("G", ["shift", "alt"]), defaultShortcut));
+});
+
+test("ignores case and spaces and knows the names of the modifiers", () => {
+  assert.ok(matchesShortcut(keydown("s", ["ctrl"]), "control + S"));
+  assert.ok(matchesShortcut(keydown("s", ["meta"]), "Cmd+s"));
+  assert.ok(matchesShortcut(keydown("Enter", ["meta"]), "Meta+Enter"));
+});
+
+test("matches letters by their key code, as Alt changes the key on macOS", () => {
+  assert.ok(
+    matchesShortcut(keydown("Ï", ["shift", "alt"], "KeyF"), "Shift+Alt+F")
+  );
+  assert.ok(
+    !matchesShortcut(keydown("Ï", ["shift", "alt"], "KeyG"), "Shift+Alt+F")
+  );
+});
+
+test("an empty shortcut matches nothing", () => {
+  assert.ok(!matchesShortcut(keydown("F"), ""));
+  assert.ok(!matchesShortcut(keydown("F"), " + "));
+});
@@ -0,0 +1,131 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const importApp = require("./importApp.js");
+
+let snippets;
+
+test.before(async () => {
+  snippets = await importApp("snippets.js");
+});
+
+/**
+ * Replaces `localStorage` with one holding `items`.
+ */
+function useStorage(items = {}) {
+  const store = new Map(Object.entries(items));
+  global.localStorage = {
+    getItem: (key) => (store.has(key) ? store.get(key) : null),
+    setItem: (key, value) => store.set(key, String(value)),
+  };
+}
+
+test.afterEach(() => {
+  delete global.localStorage;
+});
+
+test("loads the stored snippets and the active one", () => {
+  const library = {
+    snippets: [
+      { id: 1, name: "One", code: "<p>1</p>" },
+      { id: 3, name: "Three", code: "<p>3</p>" },
+    ],
+    activeId: 3,
+  };
+  useStorage({ snippets: JSON.stringify(library) });
+  assert.deepStrictEqual(snippets.loadSnippets(), library);
+});
+
+test("saved snippets load again", () => {
+  useStorage();
+  const library = {
+    snippets: [{ id: 1, name: "One", code: "<p>1</p>" }],
+    activeId: 1,
+  };
+  snippets.saveSnippets(library);
+  assert.deepStrictEqual(snippets.loadSnippets(), library);
+});
+
+test("drops invalid snippets and activates the first if the active one is gone", () => {
+  useStorage({
+    snippets: JSON.stringify({
+      snippets: [
+        null,
+        { id: "2", name: "x", code: "" },
+        { id: 4, name: "Four", code: "" },
+      ],
+      activeId: 2,
+    }),
+  });
+  assert.deepStrictEqual(snippets.loadSnippets(), {
+    snippets: [{ id: 4, name: "Four", code: "" }],
+    activeId: 4,
+  });
+});
+
+test("starts with one snippet holding the code kept before there were snippets", () => {
+  useStorage({ code: "<p>old</p>" });
+  assert.deepStrictEqual(snippets.loadSnippets(), {
+    snippets: [{ id: 1, name: "Untitled", code: "<p>old</p>" }],
+    activeId: 1,
+  });
+  useStorage({ snippets: "{not json" });
+  assert.deepStrictEqual(snippets.loadSnippets(), {
+    snippets: [{ id: 1, name: "Untitled", code: "" }],
+    activeId: 1,
+  });
+});
+
+test("new snippets get the next id", () => {
+  assert.deepStrictEqual(
+    snippets.createSnippet([{ id: 2 }, { id: 5 }], "New", "<p />"),
+    { id: 6, name: "New", code: "<p />" }
+  );
+  assert.deepStrictEqual(snippets.createSnippet([], "First"), {
+    id: 1,
+    name: "First",
+    code: "",
+  });
+});
+
+test("exported snippets import again without their ids", () => {
+  const exported = snippets.serializeSnippets([
+    { id: 1, name: "One", code: "<p>1</p>" },
+    { id: 2, name: "Two", code: "" },
+  ]);
+  assert.deepStrictEqual(snippets.parseSnippets(exported), [
+    { name: "One", code: "<p>1</p>" },
+    { name: "Two", code: "" },
+  ]);
+});
+
+test("rejects files that are no JSON or hold no snippets", () => {
+  assert.throws(() => snippets.parseSnippets("<p>"), {
+    message: "The file is not valid JSON",
+  });
+  for (const text of ["null", "{}", '{"snippets": [{"name": "x"}]}']) {
+    assert.throws(() => snippets.parseSnippets(text), {
+      message: "The file does not contain any snippets",
+    });
+  }
+});
+
+test("debounce makes only the last call, after the wait", async () => {
+  const calls = [];
+  const debounced = snippets.debounce((...args) => calls.push(args), 20);
+  debounced(1);
+  debounced(2, 3);
+  assert.deepStrictEqual(calls, []);
+  await new Promise((resolve) => setTimeout(resolve, 50));
+  assert.deepStrictEqual(calls, [[2, 3]]);
+});
+
+test("flush makes the pending call right away, and only once", async () => {
+  const calls = [];
+  const debounced = snippets.debounce((value) => calls.push(value), 20);
+  debounced.flush();
+  debounced("a");
+  debounced.flush();
+  assert.deepStrictEqual(calls, ["a"]);
+  await new Promise((resolve) => setTimeout(resolve, 50));
+  assert.deepStrictEqual(calls, ["a"]);
+});